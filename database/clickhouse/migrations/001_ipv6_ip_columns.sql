@@ -0,0 +1,62 @@
+-- Migration: IPv4 -> IPv6 IP columns
+-- For installs created before IP columns became IPv6. Existing IPv4 values
+-- become IPv4-mapped (::ffff:203.0.113.7), the form the server now writes.
+--
+-- Run schema.sql first (it creates tables added since, such as errors), then
+-- this file once:
+--   clickhouse-client --multiquery < database/clickhouse/migrations/001_ipv6_ip_columns.sql
+--
+-- The MODIFY COLUMN steps rewrite every part as a background mutation; follow
+-- them in system.mutations on large tables.
+
+USE traffic_analytics;
+
+-- events: a column with a skipping index cannot change type, so the index is
+-- dropped and rebuilt around it
+ALTER TABLE events DROP INDEX IF EXISTS idx_ip;
+ALTER TABLE events MODIFY COLUMN ip_address IPv6;
+ALTER TABLE events ADD INDEX IF NOT EXISTS idx_ip ip_address TYPE bloom_filter GRANULARITY 4;
+ALTER TABLE events MATERIALIZE INDEX idx_ip;
+
+ALTER TABLE command_log MODIFY COLUMN admin_ip IPv6;
+
+-- Created as IPv6; kept here so every IP column is covered
+ALTER TABLE errors MODIFY COLUMN ip_address IPv6;
+
+-- rate_limit_violations: ip_address is in the sorting key, which ClickHouse
+-- cannot retype in place, so the rows are copied into a new table that then
+-- takes its name. The layer columns may predate this upgrade too.
+ALTER TABLE rate_limit_violations ADD COLUMN IF NOT EXISTS layer LowCardinality(String) DEFAULT 'session' AFTER ip_address;
+ALTER TABLE rate_limit_violations ADD COLUMN IF NOT EXISTS limit_key String AFTER layer;
+
+CREATE TABLE rate_limit_violations_ipv6 (
+    violation_id UUID DEFAULT generateUUIDv4(),
+    timestamp DateTime64(3) DEFAULT now64(3),
+    session_hash String,
+    ip_address IPv6,
+    layer LowCardinality(String) DEFAULT 'session', -- session, ip, subnet or asn
+    limit_key String, -- bucket key of the layer that tripped
+    events_per_second Float32,
+    threshold_exceeded Float32,
+    auto_throttled UInt8 DEFAULT 1
+) ENGINE = MergeTree()
+PARTITION BY toYYYYMMDD(timestamp)
+ORDER BY (ip_address, timestamp)
+TTL timestamp + INTERVAL 30 DAY
+SETTINGS index_granularity = 8192;
+
+INSERT INTO rate_limit_violations_ipv6
+SELECT
+    violation_id,
+    timestamp,
+    session_hash,
+    toIPv6(toString(ip_address)),
+    layer,
+    limit_key,
+    events_per_second,
+    threshold_exceeded,
+    auto_throttled
+FROM rate_limit_violations;
+
+EXCHANGE TABLES rate_limit_violations AND rate_limit_violations_ipv6;
+DROP TABLE rate_limit_violations_ipv6;
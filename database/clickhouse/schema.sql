@@ -13,8 +13,8 @@ CREATE TABLE IF NOT EXISTS events (
     session_hash String,
     event_type LowCardinality(String),
     
-    -- Client metadata
-    ip_address IPv4,
+    -- Client metadata (IPv4 stored IPv4-mapped, e.g. ::ffff:203.0.113.7)
+    ip_address IPv6,
     user_agent String,
     
     -- GeoIP enrichment
@@ -153,7 +153,7 @@ CREATE TABLE IF NOT EXISTS command_log (
     session_hash String,
     command_type LowCardinality(String),
     admin_id String,
-    admin_ip IPv4,
+    admin_ip IPv6,
     command_payload String,
     execution_status LowCardinality(String),
     error_message Nullable(String)
@@ -168,7 +168,9 @@ CREATE TABLE IF NOT EXISTS rate_limit_violations (
     violation_id UUID DEFAULT generateUUIDv4(),
     timestamp DateTime64(3) DEFAULT now64(3),
     session_hash String,
-    ip_address IPv4,
+    ip_address IPv6,
+    layer LowCardinality(String) DEFAULT 'session', -- session, ip, subnet or asn
+    limit_key String, -- bucket key of the layer that tripped
     events_per_second Float32,
     threshold_exceeded Float32,
     auto_throttled UInt8 DEFAULT 1
@@ -178,20 +180,50 @@ ORDER BY (ip_address, timestamp)
 TTL timestamp + INTERVAL 30 DAY
 SETTINGS index_granularity = 8192;
 
+-- JavaScript errors reported by the SDK, grouped by fingerprint
+CREATE TABLE IF NOT EXISTS errors (
+    error_id UUID DEFAULT generateUUIDv4(),
+    timestamp DateTime64(3) DEFAULT now64(3),
+    session_hash String,
+    fingerprint String, -- name + normalized message + top stack frame
+    source LowCardinality(String), -- onerror, unhandledrejection or console
+    name String,
+    message String,
+    stack String,
+    filename String,
+    lineno UInt32,
+    colno UInt32,
+    page_url String,
+    path String,
+    occurrences UInt32 DEFAULT 1, -- repeats folded into this report by the SDK
+    ip_address IPv6,
+    country FixedString(2),
+    user_agent String,
+
+    -- Last command the page received before the error
+    last_command_id String,
+    last_command_type LowCardinality(String),
+    ms_since_command Nullable(UInt32)
+) ENGINE = MergeTree()
+PARTITION BY toYYYYMMDD(timestamp)
+ORDER BY (fingerprint, timestamp)
+TTL timestamp + INTERVAL 90 DAY
+SETTINGS index_granularity = 8192;
+
 -- Indexes for common queries
 -- Note: ClickHouse uses data skipping indexes
 
 -- Index for session lookup
-ALTER TABLE events ADD INDEX idx_session session_hash TYPE bloom_filter GRANULARITY 4;
+ALTER TABLE events ADD INDEX IF NOT EXISTS idx_session session_hash TYPE bloom_filter GRANULARITY 4;
 
 -- Index for IP-based queries
-ALTER TABLE events ADD INDEX idx_ip ip_address TYPE bloom_filter GRANULARITY 4;
+ALTER TABLE events ADD INDEX IF NOT EXISTS idx_ip ip_address TYPE bloom_filter GRANULARITY 4;
 
 -- Index for event type filtering
-ALTER TABLE events ADD INDEX idx_event_type event_type TYPE set(0) GRANULARITY 4;
+ALTER TABLE events ADD INDEX IF NOT EXISTS idx_event_type event_type TYPE set(0) GRANULARITY 4;
 
 -- Index for risk scoring
-ALTER TABLE events ADD INDEX idx_risk_score risk_score TYPE minmax GRANULARITY 4;
+ALTER TABLE events ADD INDEX IF NOT EXISTS idx_risk_score risk_score TYPE minmax GRANULARITY 4;
 
 -- Common queries for analytics (documented for reference)
 
@@ -0,0 +1,28 @@
+-- Migration: columns added to existing tables
+-- For databases created from an older schema.sql. New installs get all of
+-- this from schema.sql and do not need it. Safe to run more than once:
+--   psql -U postgres -f database/postgres/migrations/001_upgrade_columns.sql
+
+BEGIN;
+
+-- sessions: per-signal risk breakdown (RiskScorer)
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS risk_breakdown JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS risk_scored_at TIMESTAMP WITH TIME ZONE;
+
+-- sessions: handshake consistency checks
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS consistency_checks JSONB DEFAULT '[]'::jsonb;
+
+-- command_history: delivery retries and expiry (CommandDelivery)
+ALTER TABLE command_history ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0;
+ALTER TABLE command_history ADD COLUMN IF NOT EXISTS max_retries INTEGER DEFAULT 0;
+ALTER TABLE command_history ADD COLUMN IF NOT EXISTS sent_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE command_history ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+
+-- The inline CHECK in schema.sql gets the default name command_history_status_check
+ALTER TABLE command_history DROP CONSTRAINT IF EXISTS command_history_status_check;
+ALTER TABLE command_history ADD CONSTRAINT command_history_status_check
+    CHECK (status IN ('pending', 'sent', 'acknowledged', 'failed', 'expired'));
+
+CREATE INDEX IF NOT EXISTS idx_commands_expires ON command_history(expires_at) WHERE status IN ('pending', 'sent');
+
+COMMIT;
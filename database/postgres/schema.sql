@@ -41,6 +41,9 @@ CREATE TABLE sessions (
     -- Analytics
     total_events BIGINT DEFAULT 0,
     risk_score DECIMAL(5, 2) DEFAULT 0.0 CHECK (risk_score BETWEEN 0 AND 100),
+    risk_breakdown JSONB DEFAULT '[]'::jsonb, -- per-signal contributions to risk_score
+    risk_scored_at TIMESTAMP WITH TIME ZONE,
+    consistency_checks JSONB DEFAULT '[]'::jsonb, -- handshake fingerprint vs GeoIP checks
     is_bot BOOLEAN DEFAULT false,
     
     -- Consent tracking
@@ -83,12 +86,16 @@ CREATE TABLE command_history (
     admin_ip INET,
     
     -- Execution tracking
-    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'acknowledged', 'failed')),
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'acknowledged', 'failed', 'expired')),
     error_message TEXT,
+    attempts INTEGER DEFAULT 0,
+    max_retries INTEGER DEFAULT 0,
     
     -- Timestamps
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    sent_at TIMESTAMP WITH TIME ZONE,
     acknowledged_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE,
     
     -- Index
     CONSTRAINT fk_session FOREIGN KEY (session_id) REFERENCES sessions(session_id)
@@ -97,6 +104,7 @@ CREATE TABLE command_history (
 CREATE INDEX idx_commands_session ON command_history(session_id);
 CREATE INDEX idx_commands_status ON command_history(status);
 CREATE INDEX idx_commands_created ON command_history(created_at DESC);
+CREATE INDEX idx_commands_expires ON command_history(expires_at) WHERE status IN ('pending', 'sent');
 
 -- Session metrics aggregation (for dashboard)
 CREATE TABLE session_metrics (
@@ -126,6 +134,129 @@ CREATE TABLE session_metrics (
 CREATE INDEX idx_metrics_session ON session_metrics(session_id);
 CREATE INDEX idx_metrics_window ON session_metrics(window_start DESC);
 
+-- Auto-response rules (evaluated on handshake, batch and risk-score updates)
+CREATE TABLE auto_response_rules (
+    rule_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    
+    -- Evaluation
+    enabled BOOLEAN DEFAULT true,
+    dry_run BOOLEAN DEFAULT false,
+    priority INTEGER DEFAULT 100,
+    triggers JSONB DEFAULT '["handshake", "batch", "risk_update"]'::jsonb,
+    conditions JSONB NOT NULL,
+    action JSONB NOT NULL,
+    cooldown_seconds INTEGER DEFAULT 300,
+    
+    -- Admin tracking
+    created_by VARCHAR(100),
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_rules_enabled ON auto_response_rules(priority) WHERE enabled = true;
+
+-- Rule matches (dispatched or dry-run)
+CREATE TABLE rule_matches (
+    match_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    rule_id UUID REFERENCES auto_response_rules(rule_id) ON DELETE CASCADE,
+    session_hash VARCHAR(64) NOT NULL,
+    trigger VARCHAR(20) NOT NULL,
+    dry_run BOOLEAN DEFAULT false,
+    command_id UUID,
+    facts JSONB DEFAULT '{}'::jsonb,
+    matched_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_rule_matches_rule ON rule_matches(rule_id, matched_at DESC);
+CREATE INDEX idx_rule_matches_session ON rule_matches(session_hash);
+
+-- Rate-limit admin actions (bans, unbans, bucket overrides)
+CREATE TABLE rate_limit_actions (
+    action_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    action VARCHAR(20) NOT NULL CHECK (action IN ('ban', 'unban', 'set_override', 'clear_override')),
+    target_type VARCHAR(10) NOT NULL CHECK (target_type IN ('session', 'ip')),
+    target VARCHAR(64) NOT NULL,
+    reason TEXT,
+    params JSONB DEFAULT '{}'::jsonb,
+    
+    -- Admin tracking
+    admin_id VARCHAR(100),
+    admin_ip INET,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_rate_limit_actions_target ON rate_limit_actions(target, created_at DESC);
+CREATE INDEX idx_rate_limit_actions_created ON rate_limit_actions(created_at DESC);
+
+-- Admin API users (API keys and passwords are stored hashed, never in clear)
+CREATE TABLE admin_users (
+    admin_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    username VARCHAR(100) UNIQUE NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'operator', 'admin')),
+    
+    -- Credentials
+    api_key_hash CHAR(64) UNIQUE, -- SHA-256 of the key, hex
+    api_key_prefix VARCHAR(12), -- first characters, to tell keys apart
+    password_hash TEXT, -- scrypt$<salt>$<hash>
+    
+    enabled BOOLEAN DEFAULT true,
+    created_by VARCHAR(100),
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Admin audit log (append-only; each entry hashes the previous one)
+CREATE TABLE admin_audit_log (
+    audit_id BIGSERIAL PRIMARY KEY,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    
+    -- Who
+    actor VARCHAR(100) NOT NULL,
+    actor_role VARCHAR(20),
+    actor_ip VARCHAR(45),
+    
+    -- What
+    action VARCHAR(50) NOT NULL, -- e.g. command.downspin, rule.update, ban.create
+    target_type VARCHAR(20),
+    target VARCHAR(128),
+    session_hashes TEXT[] DEFAULT '{}', -- sessions affected (commands, batch actions, bans)
+    before_state JSONB,
+    after_state JSONB,
+    details JSONB DEFAULT '{}'::jsonb,
+    
+    -- Hash chain: entry_hash = SHA-256(prev_hash + entry)
+    prev_hash CHAR(64), -- NULL for the first entry
+    entry_hash CHAR(64) UNIQUE NOT NULL
+);
+
+CREATE INDEX idx_audit_created ON admin_audit_log(created_at DESC);
+CREATE INDEX idx_audit_actor ON admin_audit_log(actor, created_at DESC);
+CREATE INDEX idx_audit_action ON admin_audit_log(action, created_at DESC);
+CREATE INDEX idx_audit_sessions ON admin_audit_log USING GIN(session_hashes);
+
+CREATE OR REPLACE FUNCTION reject_audit_log_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'admin_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER admin_audit_log_no_update
+    BEFORE UPDATE OR DELETE ON admin_audit_log
+    FOR EACH ROW
+    EXECUTE FUNCTION reject_audit_log_change();
+
+CREATE TRIGGER admin_audit_log_no_truncate
+    BEFORE TRUNCATE ON admin_audit_log
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION reject_audit_log_change();
+
 -- Auto-update timestamp trigger
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -140,41 +271,15 @@ CREATE TRIGGER update_sessions_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
--- Function to calculate risk score based on behavior
-CREATE OR REPLACE FUNCTION calculate_risk_score(
-    p_session_hash VARCHAR(64),
-    p_event_rate DECIMAL,
-    p_unique_events INTEGER,
-    p_total_events INTEGER
-) RETURNS DECIMAL AS $$
-DECLARE
-    base_score DECIMAL := 0.0;
-BEGIN
-    -- High event rate (> 5 events/sec)
-    IF p_event_rate > 5 THEN
-        base_score := base_score + 30.0;
-    ELSIF p_event_rate > 3 THEN
-        base_score := base_score + 15.0;
-    END IF;
-    
-    -- Low event diversity
-    IF p_total_events > 50 AND p_unique_events < 3 THEN
-        base_score := base_score + 25.0;
-    END IF;
-    
-    -- Rapid fire events
-    IF p_total_events > 100 AND p_unique_events < 5 THEN
-        base_score := base_score + 20.0;
-    END IF;
-    
-    -- Cap at 100
-    IF base_score > 100 THEN
-        base_score := 100.0;
-    END IF;
-    
-    RETURN base_score;
-END;
-$$ LANGUAGE plpgsql;
+CREATE TRIGGER update_rules_updated_at
+    BEFORE UPDATE ON auto_response_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_admin_users_updated_at
+    BEFORE UPDATE ON admin_users
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
 
 -- View for active sessions (last 5 minutes)
 CREATE OR REPLACE VIEW active_sessions AS
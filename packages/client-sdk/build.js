@@ -25,6 +25,12 @@ if (fs.existsSync(distDir)) {
 // Files to concatenate IN ORDER (dependency order matters!)
 const sourceFiles = [
   'session-hasher.js',
+  'network-shaper.js',
+  'offline-queue.js',
+  'performance-collector.js',
+  'error-tracker.js',
+  'element-selector.js',
+  'frustration-detector.js',
   'command-dispatcher.js',
   'tracker.js'
 ];
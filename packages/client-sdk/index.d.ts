@@ -6,6 +6,33 @@ declare class TrafficAnalyticsTracker {
     batchSize?: number;
     flushInterval?: number;
     debug?: boolean;
+    trackPageViews?: boolean;
+    detectFrustration?: boolean;
+    errorTracking?: {
+      enabled?: boolean;
+      captureConsole?: boolean;
+      maxPerMinute?: number;
+      dedupeWindow?: number;
+      maxStackLength?: number;
+    };
+    networkShaping?: {
+      enabled?: boolean;
+      include?: string[];
+      exclude?: string[];
+    };
+    offlineQueue?: {
+      maxEvents?: number;
+      maxAge?: number;
+      drainInterval?: number;
+      dbName?: string;
+      storageKey?: string;
+    };
+    reconnect?: {
+      baseDelay?: number;
+      maxDelay?: number;
+      maxAttempts?: number;
+      stableAfter?: number;
+    };
   });
 
   initialize(): Promise<void>;
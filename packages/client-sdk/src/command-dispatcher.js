@@ -12,6 +12,57 @@ class CommandDispatcher {
     this.commandHandlers = this.initializeHandlers();
     this.commandQueue = [];
     this.isProcessing = false;
+    this.lastCommand = null;
+    this.executedIds = this.loadExecutedIds();
+  }
+
+  /**
+   * Last command received (kept in sessionStorage so errors after a
+   * REDIRECT or REFRESH_PAGE can still be linked to it)
+   */
+  getLastCommand() {
+    if (this.lastCommand) return this.lastCommand;
+
+    try {
+      const stored = window.sessionStorage.getItem('traffic_analytics_last_command');
+      return stored ? JSON.parse(stored) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  setLastCommand(command) {
+    this.lastCommand = { id: command.id || null, type: command.type, at: Date.now() };
+
+    try {
+      window.sessionStorage.setItem('traffic_analytics_last_command', JSON.stringify(this.lastCommand));
+    } catch (e) {
+      // Storage disabled: the in-memory copy still links errors on this page
+    }
+  }
+
+  /**
+   * Ids of recently executed commands. The server redelivers a command whose
+   * ack it did not get (e.g. the page navigated away first), so these are kept
+   * in sessionStorage to survive REDIRECT and REFRESH_PAGE.
+   */
+  loadExecutedIds() {
+    try {
+      const stored = window.sessionStorage.getItem('traffic_analytics_executed_commands');
+      return stored ? JSON.parse(stored) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  markExecuted(id) {
+    this.executedIds = [...this.executedIds.filter(executed => executed !== id), id].slice(-50);
+
+    try {
+      window.sessionStorage.setItem('traffic_analytics_executed_commands', JSON.stringify(this.executedIds));
+    } catch (e) {
+      // Storage disabled: retries on this page are still caught
+    }
   }
 
   /**
@@ -55,6 +106,18 @@ class CommandDispatcher {
       return { success: false, error: `Unknown command: ${type}` };
     }
 
+    // A retry of a command that already ran: ack it again, don't rerun it
+    if (command.id && this.executedIds.includes(command.id)) {
+      this.tracker.sendAcknowledgment(command, { duplicate: true });
+      return { success: true, duplicate: true };
+    }
+
+    this.setLastCommand(command);
+    if (command.id) {
+      // Before running: REDIRECT and REFRESH_PAGE may unload the page
+      this.markExecuted(command.id);
+    }
+
     try {
       // Apply current latency simulation
       if (this.currentLatency > 0 && type !== 'SET_LATENCY') {
@@ -155,15 +218,25 @@ class CommandDispatcher {
    * SET_LATENCY - Simulate network latency (Downspin/Upspin)
    */
   handleSetLatency(payload) {
-    const { latency_ms } = payload;
+    const { latency_ms, jitter_ms = 0, bandwidth_kbps = 0 } = payload;
 
     if (typeof latency_ms !== 'number' || latency_ms < 0) {
       throw new Error('Invalid latency value');
     }
+    if (typeof jitter_ms !== 'number' || jitter_ms < 0 ||
+        typeof bandwidth_kbps !== 'number' || bandwidth_kbps < 0) {
+      throw new Error('Invalid jitter or bandwidth value');
+    }
 
     const previousLatency = this.currentLatency;
     this.currentLatency = latency_ms;
 
+    // Apply the new setting first, then report what was shaped since the
+    // last report (later requests go out with the next heartbeat)
+    const shaper = this.tracker && this.tracker.networkShaper;
+    const shaping = shaper ? shaper.configure(payload) : null;
+    const shapedRequests = shaper ? shaper.takeReport() : null;
+
     // Log mode change
     const mode = latency_ms === 0 ? 'UPSPIN (Priority)' : 
                  latency_ms >= 1000 ? 'DOWNSPIN (Throttle)' : 'Normal';
@@ -176,7 +249,9 @@ class CommandDispatcher {
     return { 
       previousLatency, 
       newLatency: latency_ms,
-      mode 
+      mode,
+      shaping,
+      shapedRequests
     };
   }
 
@@ -0,0 +1,102 @@
+/**
+ * Element Selector - Stable CSS selectors for click analytics
+ * Builds a short selector that survives re-renders: ids and classes that
+ * look generated (CSS-in-JS hashes, numeric ids) are skipped, and the path
+ * stops at the nearest ancestor with a stable id.
+ */
+
+class ElementSelector {
+  constructor(options = {}) {
+    this.maxDepth = options.maxDepth || 5;
+    this.maxClasses = options.maxClasses || 2;
+  }
+
+  /**
+   * Whether an id or class name is likely generated per build or render
+   */
+  isGenerated(name) {
+    return /\d{3,}/.test(name) ||
+      /^(css|sc|jsx|emotion|svelte)-/.test(name) ||
+      (/[_-][a-zA-Z0-9]{5,}$/.test(name) && /\d/.test(name)) ||
+      /^(active|hover|focus|selected|open|visible|hidden|disabled)$/.test(name);
+  }
+
+  /**
+   * Escape an identifier for use in a selector
+   */
+  escape(name) {
+    return window.CSS && window.CSS.escape ? window.CSS.escape(name) : name.replace(/([^\w-])/g, '\\$1');
+  }
+
+  /**
+   * Selector segment for one element
+   */
+  segment(element) {
+    if (element.id && !this.isGenerated(element.id)) {
+      return { selector: `#${this.escape(element.id)}`, unique: true };
+    }
+
+    let selector = element.tagName.toLowerCase();
+
+    const classes = typeof element.className === 'string'
+      ? element.className.split(/\s+/).filter(name => name && !this.isGenerated(name))
+      : [];
+    classes.slice(0, this.maxClasses).forEach(name => {
+      selector += `.${this.escape(name)}`;
+    });
+
+    // Disambiguate between siblings of the same tag
+    const parent = element.parentElement;
+    if (parent) {
+      const siblings = Array.from(parent.children).filter(child => child.tagName === element.tagName);
+      if (siblings.length > 1) {
+        selector += `:nth-of-type(${siblings.indexOf(element) + 1})`;
+      }
+    }
+
+    return { selector, unique: false };
+  }
+
+  /**
+   * Selector for an element, e.g. "#checkout > div.actions > button:nth-of-type(2)"
+   */
+  getSelector(element) {
+    if (!element || !element.tagName) return null;
+
+    const segments = [];
+    let current = element;
+
+    while (current && current.tagName && segments.length < this.maxDepth) {
+      const tag = current.tagName.toLowerCase();
+      if (tag === 'html' || tag === 'body') break;
+
+      const { selector, unique } = this.segment(current);
+      segments.unshift(selector);
+      if (unique) break;
+
+      current = current.parentElement;
+    }
+
+    return segments.length > 0 ? segments.join(' > ') : element.tagName.toLowerCase();
+  }
+
+  /**
+   * Element details for events: { tag, id, class, text, selector }
+   */
+  describe(element) {
+    if (!element || !element.tagName) return null;
+
+    return {
+      tag: element.tagName,
+      id: element.id || null,
+      class: typeof element.className === 'string' ? element.className || null : null,
+      text: element.textContent ? element.textContent.substring(0, 50) : null,
+      selector: this.getSelector(element)
+    };
+  }
+}
+
+// Export for use in tracker
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ElementSelector;
+}
@@ -0,0 +1,192 @@
+/**
+ * Error Tracker - JavaScript error telemetry
+ * Captures window errors, unhandled promise rejections and console.error
+ * calls with stack traces. Each error gets a fingerprint (name, normalized
+ * message and top stack frame) so repeats are grouped: a fingerprint is
+ * reported at most once per dedupe window with the number of occurrences,
+ * and reports are capped per minute.
+ */
+
+// The SDK's own logging is not application error telemetry
+const SDK_LOG_PREFIX = /^\[(TrafficAnalytics|Dispatcher|NetworkShaper|OfflineQueue|ErrorTracker|Remote)/;
+
+class ErrorTracker {
+  constructor(report, options = {}) {
+    this.report = report; // (error) => void
+    this.captureConsole = options.captureConsole !== undefined ? options.captureConsole : true;
+    this.maxPerMinute = options.maxPerMinute || 10;
+    this.dedupeWindow = options.dedupeWindow || 60000;
+    this.maxStackLength = options.maxStackLength || 4000;
+
+    this.seen = new Map(); // fingerprint -> { lastReportedAt, suppressed }
+    this.reportTimes = [];
+    this.dropped = 0;
+
+    this.installed = false;
+    this.originalConsoleError = null;
+    this.capturing = false;
+  }
+
+  /**
+   * Start listening for errors
+   */
+  install() {
+    if (this.installed) return;
+    this.installed = true;
+
+    this.onError = (event) => {
+      // Resource load failures (img, script) have no error object or message
+      if (!event.error && !event.message) return;
+
+      this.capture({
+        source: 'onerror',
+        error: event.error,
+        message: event.message,
+        filename: event.filename,
+        lineno: event.lineno,
+        colno: event.colno
+      });
+    };
+
+    this.onRejection = (event) => {
+      const reason = event.reason;
+      this.capture({
+        source: 'unhandledrejection',
+        error: reason instanceof Error ? reason : null,
+        message: reason instanceof Error ? reason.message : this.stringify(reason)
+      });
+    };
+
+    window.addEventListener('error', this.onError);
+    window.addEventListener('unhandledrejection', this.onRejection);
+
+    if (this.captureConsole) {
+      const tracker = this;
+      this.originalConsoleError = console.error;
+
+      console.error = function(...args) {
+        tracker.originalConsoleError.apply(console, args);
+
+        if (typeof args[0] === 'string' && SDK_LOG_PREFIX.test(args[0])) return;
+
+        const error = args.find(arg => arg instanceof Error) || null;
+        tracker.capture({
+          source: 'console',
+          error,
+          message: args.map(arg => (arg instanceof Error ? arg.message : tracker.stringify(arg))).join(' ')
+        });
+      };
+    }
+  }
+
+  /**
+   * Stop listening and restore console.error
+   */
+  uninstall() {
+    if (!this.installed) return;
+
+    window.removeEventListener('error', this.onError);
+    window.removeEventListener('unhandledrejection', this.onRejection);
+    if (this.originalConsoleError) {
+      console.error = this.originalConsoleError;
+    }
+
+    this.installed = false;
+  }
+
+  /**
+   * Normalize, deduplicate and rate-limit an error, then report it
+   */
+  capture({ source, error, message, filename, lineno, colno }) {
+    // A failing report must not re-enter through console.error
+    if (this.capturing) return;
+    this.capturing = true;
+
+    try {
+      const stack = error && error.stack ? String(error.stack).substring(0, this.maxStackLength) : null;
+      const details = {
+        source,
+        name: (error && error.name) || 'Error',
+        message: String(message || (error && error.message) || 'Unknown error').substring(0, 1000),
+        stack,
+        filename: filename || null,
+        lineno: lineno || null,
+        colno: colno || null
+      };
+      details.fingerprint = this.fingerprint(details);
+
+      const now = Date.now();
+      const seen = this.seen.get(details.fingerprint);
+
+      if (seen && now - seen.lastReportedAt < this.dedupeWindow) {
+        seen.suppressed++;
+        return;
+      }
+
+      this.reportTimes = this.reportTimes.filter(time => now - time < 60000);
+      if (this.reportTimes.length >= this.maxPerMinute) {
+        this.dropped++;
+        return;
+      }
+
+      this.reportTimes.push(now);
+      this.seen.set(details.fingerprint, { lastReportedAt: now, suppressed: 0 });
+
+      this.report({
+        ...details,
+        // Repeats since this fingerprint was last reported, plus this one
+        occurrences: (seen ? seen.suppressed : 0) + 1,
+        droppedSinceLastReport: this.dropped
+      });
+      this.dropped = 0;
+    } catch (e) {
+      // Never let error tracking throw into the page
+    } finally {
+      this.capturing = false;
+    }
+  }
+
+  /**
+   * Stable id for "the same error": name, message without volatile parts
+   * (numbers, quoted values, URLs) and the top stack frame
+   */
+  fingerprint({ name, message, stack, filename, lineno }) {
+    const normalized = message
+      .replace(/https?:\/\/\S+/g, '<url>')
+      .replace(/(["'`]).*?\1/g, '<str>')
+      .replace(/\d+/g, '<n>');
+
+    const topFrame = stack
+      ? (stack.split('\n').find(line => /:\d+:\d+/.test(line)) || '').trim()
+      : `${filename || ''}:${lineno || ''}`;
+
+    return this.hash(`${name}|${normalized}|${topFrame}`);
+  }
+
+  /**
+   * FNV-1a, 32-bit, as hex
+   */
+  hash(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  stringify(value) {
+    if (typeof value === 'string') return value;
+    try {
+      const json = JSON.stringify(value);
+      return json === undefined ? String(value) : json;
+    } catch (e) {
+      return String(value);
+    }
+  }
+}
+
+// Export for use in tracker
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ErrorTracker;
+}
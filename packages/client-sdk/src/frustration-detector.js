@@ -0,0 +1,213 @@
+/**
+ * Frustration Detector - UX signals derived from raw interactions
+ *
+ *   rage_click    - several clicks in a small area within a short time
+ *   dead_click    - a click on something that did nothing (no DOM change,
+ *                   navigation or focus change shortly afterwards)
+ *   scroll_thrash - rapid back-and-forth scrolling
+ *
+ * Each signal is reported through the callback as (eventType, data).
+ */
+
+// Clicks on these are expected to have no visible effect
+const PASSIVE_TARGETS = /^(INPUT|TEXTAREA|SELECT|OPTION|LABEL|VIDEO|AUDIO)$/;
+
+class FrustrationDetector {
+  constructor(report, options = {}) {
+    this.report = report;
+    this.getPath = options.getPath || (() => window.location.pathname);
+    this.elementSelector = options.elementSelector || new ElementSelector();
+
+    this.rageClicks = options.rageClicks || 3;
+    this.rageWindow = options.rageWindow || 1000;
+    this.rageRadius = options.rageRadius || 30;
+    this.deadClickTimeout = options.deadClickTimeout || 1000;
+    this.scrollReversals = options.scrollReversals || 4;
+    this.scrollWindow = options.scrollWindow || 2000;
+    this.scrollCooldown = options.scrollCooldown || 5000;
+
+    this.recentClicks = [];
+    this.rageReported = false;
+
+    this.pendingClicks = 0;
+    this.lastMutationAt = 0;
+    this.mutationObserver = null;
+
+    this.lastScrollY = window.scrollY;
+    this.scrollDirection = 0;
+    this.reversals = [];
+    this.lastThrashAt = 0;
+
+    this.installed = false;
+  }
+
+  /**
+   * Start listening to clicks and scrolling
+   */
+  install() {
+    if (this.installed) return;
+    this.installed = true;
+
+    this.onClick = (event) => this.handleClick(event);
+    this.onScroll = () => this.handleScroll();
+
+    document.addEventListener('click', this.onClick, true);
+    document.addEventListener('scroll', this.onScroll, { passive: true });
+  }
+
+  /**
+   * Stop listening
+   */
+  uninstall() {
+    if (!this.installed) return;
+
+    document.removeEventListener('click', this.onClick, true);
+    document.removeEventListener('scroll', this.onScroll);
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+      this.mutationObserver = null;
+    }
+
+    this.installed = false;
+  }
+
+  /**
+   * Element details, in the same shape as interaction events
+   */
+  describe(element) {
+    return this.elementSelector.describe(element);
+  }
+
+  handleClick(event) {
+    const now = Date.now();
+    this.detectRageClick(event, now);
+    this.watchForDeadClick(event, now);
+  }
+
+  /**
+   * Report once per burst when enough clicks land close together
+   */
+  detectRageClick(event, now) {
+    const last = this.recentClicks[this.recentClicks.length - 1];
+    const nearby = last &&
+      Math.hypot(event.clientX - last.x, event.clientY - last.y) <= this.rageRadius;
+
+    // A click elsewhere starts a new burst
+    if (!nearby) {
+      this.recentClicks = [];
+      this.rageReported = false;
+    }
+
+    this.recentClicks.push({ x: event.clientX, y: event.clientY, at: now });
+    this.recentClicks = this.recentClicks.filter(click => now - click.at <= this.rageWindow);
+
+    if (this.recentClicks.length >= this.rageClicks && !this.rageReported) {
+      this.rageReported = true;
+      this.report('rage_click', {
+        element: this.describe(event.target),
+        payload: {
+          path: this.getPath(),
+          selector: this.elementSelector.getSelector(event.target),
+          clicks: this.recentClicks.length,
+          x: event.clientX,
+          y: event.clientY,
+          durationMs: now - this.recentClicks[0].at
+        }
+      });
+    }
+  }
+
+  /**
+   * A click is dead if nothing changes within deadClickTimeout
+   */
+  watchForDeadClick(event, now) {
+    const target = event.target;
+    if (!target || !target.tagName || PASSIVE_TARGETS.test(target.tagName)) return;
+    if (target.isContentEditable || (window.getSelection && String(window.getSelection()))) return;
+
+    this.startMutationObserver();
+    this.pendingClicks++;
+
+    const url = window.location.href;
+    const focused = document.activeElement;
+    const scrollY = window.scrollY;
+
+    setTimeout(() => {
+      const changed = this.lastMutationAt >= now ||
+        window.location.href !== url ||
+        document.activeElement !== focused ||
+        window.scrollY !== scrollY;
+
+      if (!changed) {
+        this.report('dead_click', {
+          element: this.describe(target),
+          payload: {
+            path: this.getPath(),
+            selector: this.elementSelector.getSelector(target),
+            x: event.clientX,
+            y: event.clientY
+          }
+        });
+      }
+
+      // Only watch the DOM while a click is pending
+      this.pendingClicks--;
+      if (this.pendingClicks === 0 && this.mutationObserver) {
+        this.mutationObserver.disconnect();
+        this.mutationObserver = null;
+      }
+    }, this.deadClickTimeout);
+  }
+
+  startMutationObserver() {
+    if (this.mutationObserver || !window.MutationObserver) return;
+
+    this.mutationObserver = new MutationObserver(() => {
+      this.lastMutationAt = Date.now();
+    });
+    this.mutationObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      characterData: true
+    });
+  }
+
+  /**
+   * Count scroll direction reversals; many in a short window is thrashing
+   */
+  handleScroll() {
+    const y = window.scrollY;
+    const delta = y - this.lastScrollY;
+    this.lastScrollY = y;
+
+    // Ignore tiny movements (momentum, rounding)
+    if (Math.abs(delta) < 20) return;
+
+    const direction = delta > 0 ? 1 : -1;
+    const now = Date.now();
+
+    if (this.scrollDirection !== 0 && direction !== this.scrollDirection) {
+      this.reversals.push(now);
+    }
+    this.scrollDirection = direction;
+    this.reversals = this.reversals.filter(at => now - at <= this.scrollWindow);
+
+    if (this.reversals.length >= this.scrollReversals && now - this.lastThrashAt > this.scrollCooldown) {
+      this.lastThrashAt = now;
+      this.report('scroll_thrash', {
+        payload: {
+          path: this.getPath(),
+          reversals: this.reversals.length,
+          scrollY: y
+        }
+      });
+      this.reversals = [];
+    }
+  }
+}
+
+// Export for use in tracker
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FrustrationDetector;
+}
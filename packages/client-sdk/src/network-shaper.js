@@ -0,0 +1,288 @@
+/**
+ * Network Shaper - Applies SET_LATENCY to the page's own traffic
+ * Optionally wraps fetch and XMLHttpRequest to add latency, jitter and a
+ * bandwidth cap. Include/exclude URL patterns (strings with * wildcards)
+ * select which requests are shaped.
+ *
+ * Bandwidth is applied to fetch response bodies and XHR request bodies
+ * (an XHR response cannot be held back once the browser has it).
+ */
+
+class NetworkShaper {
+  constructor(options = {}) {
+    this.enabled = options.enabled || false;
+    this.include = options.include || [];
+    this.exclude = options.exclude || [];
+    // Excluded whatever a SET_LATENCY payload says (the SDK's own server)
+    this.alwaysExclude = options.alwaysExclude || [];
+
+    this.latencyMs = 0;
+    this.jitterMs = 0;
+    this.bandwidthKbps = 0;
+
+    this.installed = false;
+    this.originalFetch = null;
+    this.originalOpen = null;
+    this.originalSend = null;
+
+    // Shaped requests since the last report (sent with the SET_LATENCY ack)
+    this.shapedRequests = [];
+    this.shapedCount = 0;
+    this.maxReported = options.maxReported || 50;
+  }
+
+  /**
+   * Apply shaping settings from a SET_LATENCY payload
+   */
+  configure(settings = {}) {
+    this.latencyMs = Math.max(0, settings.latency_ms || 0);
+    this.jitterMs = Math.max(0, settings.jitter_ms || 0);
+    this.bandwidthKbps = Math.max(0, settings.bandwidth_kbps || 0);
+
+    if (Array.isArray(settings.include)) this.include = settings.include;
+    if (Array.isArray(settings.exclude)) this.exclude = settings.exclude;
+
+    return this.getSettings();
+  }
+
+  /**
+   * Current settings
+   */
+  getSettings() {
+    return {
+      enabled: this.enabled,
+      latencyMs: this.latencyMs,
+      jitterMs: this.jitterMs,
+      bandwidthKbps: this.bandwidthKbps,
+      include: this.include,
+      exclude: this.exclude
+    };
+  }
+
+  /**
+   * Whether any shaping is in effect
+   */
+  isActive() {
+    return this.enabled && this.installed && (this.latencyMs > 0 || this.bandwidthKbps > 0);
+  }
+
+  /**
+   * Convert a wildcard pattern to a RegExp (no * means "contains")
+   */
+  patternToRegExp(pattern) {
+    const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    return escaped.includes('*')
+      ? new RegExp(`^${escaped.replace(/\*/g, '.*')}$`)
+      : new RegExp(escaped);
+  }
+
+  /**
+   * Check a URL against include/exclude patterns
+   */
+  shouldShape(url) {
+    if (!this.isActive()) return false;
+
+    let absolute;
+    try {
+      absolute = new URL(url, window.location.href).href;
+    } catch (e) {
+      return false;
+    }
+
+    const exclude = [...this.alwaysExclude, ...this.exclude];
+    if (exclude.some(pattern => this.patternToRegExp(pattern).test(absolute))) {
+      return false;
+    }
+
+    return this.include.length === 0 ||
+      this.include.some(pattern => this.patternToRegExp(pattern).test(absolute));
+  }
+
+  /**
+   * Latency plus random jitter for the next request
+   */
+  nextDelay() {
+    const jitter = this.jitterMs > 0 ? (Math.random() * 2 - 1) * this.jitterMs : 0;
+    return Math.max(0, Math.round(this.latencyMs + jitter));
+  }
+
+  /**
+   * Time to move a number of bytes at the bandwidth cap
+   */
+  transferTime(bytes) {
+    if (!this.bandwidthKbps || !bytes) return 0;
+    return Math.round((bytes * 8) / this.bandwidthKbps);
+  }
+
+  /**
+   * Size of an XHR/fetch request body in bytes (best effort)
+   */
+  bodySize(body) {
+    if (!body) return 0;
+    if (typeof body === 'string') return new Blob([body]).size;
+    if (body.byteLength !== undefined) return body.byteLength;
+    if (body.size !== undefined) return body.size;
+    return 0;
+  }
+
+  /**
+   * Promise that resolves after ms
+   */
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Remember a shaped request for the next acknowledgement
+   */
+  record(entry) {
+    this.shapedCount++;
+    this.shapedRequests.push({ ...entry, at: Date.now() });
+
+    if (this.shapedRequests.length > this.maxReported) {
+      this.shapedRequests.shift();
+    }
+  }
+
+  /**
+   * Whether requests were shaped since the last report
+   */
+  hasReport() {
+    return this.shapedCount > 0;
+  }
+
+  /**
+   * Shaped requests since the last report, then start a new report
+   */
+  takeReport() {
+    const report = {
+      count: this.shapedCount,
+      requests: this.shapedRequests
+    };
+
+    this.shapedRequests = [];
+    this.shapedCount = 0;
+    return report;
+  }
+
+  /**
+   * Wrap fetch and XMLHttpRequest
+   */
+  install() {
+    if (!this.enabled || this.installed) return;
+
+    if (typeof window.fetch === 'function') {
+      this.wrapFetch();
+    }
+    if (typeof XMLHttpRequest !== 'undefined') {
+      this.wrapXHR();
+    }
+
+    this.installed = true;
+  }
+
+  /**
+   * Restore the original fetch and XMLHttpRequest
+   */
+  uninstall() {
+    if (!this.installed) return;
+
+    if (this.originalFetch) {
+      window.fetch = this.originalFetch;
+    }
+    if (this.originalOpen) {
+      XMLHttpRequest.prototype.open = this.originalOpen;
+      XMLHttpRequest.prototype.send = this.originalSend;
+    }
+
+    this.installed = false;
+  }
+
+  /**
+   * Delay fetch requests and throttle their response bodies
+   */
+  wrapFetch() {
+    const shaper = this;
+    const originalFetch = window.fetch;
+    this.originalFetch = originalFetch;
+
+    window.fetch = function(input, init) {
+      const url = typeof input === 'string' ? input : (input && input.url) || String(input);
+
+      if (!shaper.shouldShape(url)) {
+        return originalFetch.call(window, input, init);
+      }
+
+      const method = ((init && init.method) || (input && input.method) || 'GET').toUpperCase();
+      const delay = shaper.nextDelay();
+
+      return shaper.wait(delay)
+        .then(() => originalFetch.call(window, input, init))
+        .then(async (response) => {
+          // Null-body statuses cannot be rebuilt
+          if (!shaper.bandwidthKbps || [101, 204, 205, 304].includes(response.status)) {
+            shaper.record({ type: 'fetch', method, url, delayMs: delay, bytes: null });
+            return response;
+          }
+
+          const body = await response.arrayBuffer();
+          const transfer = shaper.transferTime(body.byteLength);
+          await shaper.wait(transfer);
+
+          shaper.record({ type: 'fetch', method, url, delayMs: delay + transfer, bytes: body.byteLength });
+
+          const shaped = new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers
+          });
+          Object.defineProperty(shaped, 'url', { value: response.url });
+          return shaped;
+        });
+    };
+  }
+
+  /**
+   * Delay XMLHttpRequest sends
+   */
+  wrapXHR() {
+    const shaper = this;
+    const proto = XMLHttpRequest.prototype;
+    this.originalOpen = proto.open;
+    this.originalSend = proto.send;
+
+    proto.open = function(method, url, async) {
+      this._trafficShaping = {
+        method: String(method || 'GET').toUpperCase(),
+        url: String(url),
+        async: async !== false // Synchronous requests cannot be delayed
+      };
+      return shaper.originalOpen.apply(this, arguments);
+    };
+
+    proto.send = function(body) {
+      const request = this._trafficShaping;
+
+      if (!request || !request.async || !shaper.shouldShape(request.url)) {
+        return shaper.originalSend.call(this, body);
+      }
+
+      const bytes = shaper.bodySize(body);
+      const delay = shaper.nextDelay() + shaper.transferTime(bytes);
+      shaper.record({ type: 'xhr', method: request.method, url: request.url, delayMs: delay, bytes });
+
+      setTimeout(() => {
+        try {
+          shaper.originalSend.call(this, body);
+        } catch (error) {
+          console.error('[NetworkShaper] Delayed XHR send failed:', error);
+        }
+      }, delay);
+    };
+  }
+}
+
+// Export for use in tracker
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NetworkShaper;
+}
@@ -0,0 +1,233 @@
+/**
+ * Offline Queue - Keeps events while the socket is down
+ * Events are stored in IndexedDB (localStorage if IndexedDB is unavailable,
+ * memory as a last resort) so they survive reconnects and page reloads.
+ *
+ * The queue is capped: the oldest events are dropped past maxEvents, and
+ * events older than maxAge are discarded instead of sent.
+ */
+
+class OfflineQueue {
+  constructor(options = {}) {
+    this.maxEvents = options.maxEvents || 1000;
+    this.maxAge = options.maxAge || 24 * 60 * 60 * 1000; // 24 hours
+    this.dbName = options.dbName || 'traffic-analytics';
+    this.storageKey = options.storageKey || 'traffic_analytics_queue';
+
+    this.backend = null; // 'indexeddb' | 'localstorage' | 'memory'
+    this.db = null;
+    this.memory = [];
+    this.nextId = 1;
+    this.ready = null;
+  }
+
+  /**
+   * Open the best available storage (once)
+   */
+  open() {
+    if (!this.ready) {
+      this.ready = this.openIndexedDB()
+        .catch(() => this.openLocalStorage())
+        .catch(() => {
+          this.backend = 'memory';
+        });
+    }
+    return this.ready;
+  }
+
+  /**
+   * IndexedDB store with auto-increment keys (insertion order)
+   */
+  openIndexedDB() {
+    return new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB not supported'));
+        return;
+      }
+
+      const request = window.indexedDB.open(this.dbName, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        this.backend = 'indexeddb';
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB blocked'));
+    });
+  }
+
+  /**
+   * localStorage fallback
+   */
+  openLocalStorage() {
+    // Throws when storage is disabled (e.g. some private modes)
+    window.localStorage.setItem(`${this.storageKey}_test`, '1');
+    window.localStorage.removeItem(`${this.storageKey}_test`);
+
+    const entries = this.readLocalStorage();
+    this.nextId = entries.length > 0 ? entries[entries.length - 1].id + 1 : 1;
+    this.backend = 'localstorage';
+  }
+
+  readLocalStorage() {
+    const stored = window.localStorage.getItem(this.storageKey);
+    return stored ? JSON.parse(stored) : [];
+  }
+
+  writeLocalStorage(entries) {
+    window.localStorage.setItem(this.storageKey, JSON.stringify(entries));
+  }
+
+  /**
+   * Wrap an IndexedDB request in a promise
+   */
+  request(idbRequest) {
+    return new Promise((resolve, reject) => {
+      idbRequest.onsuccess = () => resolve(idbRequest.result);
+      idbRequest.onerror = () => reject(idbRequest.error);
+    });
+  }
+
+  /**
+   * Resolve when an IndexedDB transaction commits
+   */
+  complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Append events, then enforce the age limit and size cap
+   */
+  async push(events) {
+    if (!events || events.length === 0) return;
+    await this.open();
+
+    const queuedAt = Date.now();
+
+    if (this.backend === 'indexeddb') {
+      const transaction = this.db.transaction('events', 'readwrite');
+      const store = transaction.objectStore('events');
+      events.forEach(event => store.add({ event, queuedAt }));
+      await this.complete(transaction);
+      await this.prune();
+      return;
+    }
+
+    const entries = this.backend === 'localstorage' ? this.readLocalStorage() : this.memory;
+    events.forEach(event => entries.push({ id: this.nextId++, event, queuedAt }));
+    this.save(this.trim(entries));
+  }
+
+  /**
+   * Oldest queued entries ({ id, event, queuedAt }), up to limit
+   */
+  async peek(limit = 50) {
+    await this.open();
+
+    if (this.backend === 'indexeddb') {
+      await this.prune();
+      const transaction = this.db.transaction('events', 'readonly');
+      return this.request(transaction.objectStore('events').getAll(null, limit));
+    }
+
+    const entries = this.trim(this.backend === 'localstorage' ? this.readLocalStorage() : this.memory);
+    this.save(entries);
+    return entries.slice(0, limit);
+  }
+
+  /**
+   * Remove every entry up to and including id (after it was sent)
+   */
+  async remove(id) {
+    await this.open();
+
+    if (this.backend === 'indexeddb') {
+      const transaction = this.db.transaction('events', 'readwrite');
+      transaction.objectStore('events').delete(IDBKeyRange.upperBound(id));
+      await this.complete(transaction);
+      return;
+    }
+
+    const entries = this.backend === 'localstorage' ? this.readLocalStorage() : this.memory;
+    this.save(entries.filter(entry => entry.id > id));
+  }
+
+  /**
+   * Number of queued events
+   */
+  async size() {
+    await this.open();
+
+    if (this.backend === 'indexeddb') {
+      const transaction = this.db.transaction('events', 'readonly');
+      return this.request(transaction.objectStore('events').count());
+    }
+
+    return (this.backend === 'localstorage' ? this.readLocalStorage() : this.memory).length;
+  }
+
+  /**
+   * Drop expired entries and the oldest entries past the cap (array backends)
+   */
+  trim(entries) {
+    const cutoff = Date.now() - this.maxAge;
+    const fresh = entries.filter(entry => entry.queuedAt >= cutoff);
+    return fresh.slice(Math.max(0, fresh.length - this.maxEvents));
+  }
+
+  save(entries) {
+    if (this.backend === 'localstorage') {
+      try {
+        this.writeLocalStorage(entries);
+      } catch (error) {
+        // Quota exceeded: keep the newer half rather than nothing
+        try {
+          this.writeLocalStorage(entries.slice(Math.floor(entries.length / 2)));
+        } catch (e) {
+          console.error('[OfflineQueue] Failed to persist events:', e);
+        }
+      }
+    } else {
+      this.memory = entries;
+    }
+  }
+
+  /**
+   * Drop expired entries and the oldest entries past the cap (IndexedDB)
+   */
+  async prune() {
+    const cutoff = Date.now() - this.maxAge;
+    const count = await this.size();
+    let excess = Math.max(0, count - this.maxEvents);
+
+    const transaction = this.db.transaction('events', 'readwrite');
+    const cursorRequest = transaction.objectStore('events').openCursor();
+
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+
+      // Entries are in insertion order, so stop at the first one worth keeping
+      if (excess > 0 || cursor.value.queuedAt < cutoff) {
+        excess--;
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+
+    await this.complete(transaction);
+  }
+}
+
+// Export for use in tracker
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OfflineQueue;
+}
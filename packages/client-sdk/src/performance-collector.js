@@ -0,0 +1,248 @@
+/**
+ * Performance Collector - Core Web Vitals and timing
+ * Collects LCP, CLS, INP, FCP and TTFB with PerformanceObserver, plus
+ * Navigation Timing and Resource Timing Level 2 summaries.
+ *
+ * FCP and TTFB are reported as soon as they are known; LCP, CLS and INP keep
+ * changing while the page is used and are reported by finalize() (call it
+ * whenever the page is hidden). A page can be hidden many times, so those are
+ * sent again when they have changed, under the same page-load id; the server
+ * keeps the last value per id.
+ */
+
+// [good, poor] boundaries from web.dev
+const VITAL_THRESHOLDS = {
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  FCP: [1800, 3000],
+  TTFB: [800, 1800]
+};
+
+class PerformanceCollector {
+  constructor(report, options = {}) {
+    this.report = report; // (eventType, data) => void
+    this.path = options.path || window.location.pathname;
+    this.maxSlowResources = options.maxSlowResources || 5;
+
+    this.observers = [];
+    this.reported = new Map(); // name -> last reported value
+    this.id = `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+
+    this.lcp = null;
+    this.cls = null; // Stays null where layout-shift is not supported
+    this.clsWindow = null;
+    this.interactions = new Map(); // interactionId -> longest duration
+
+    this.resetResources();
+  }
+
+  /**
+   * Start observing (entries from before this call are buffered)
+   */
+  start() {
+    this.observe('paint', entry => {
+      if (entry.name === 'first-contentful-paint') {
+        this.reportVital('FCP', entry.startTime);
+      }
+    });
+    this.observe('largest-contentful-paint', entry => {
+      this.lcp = entry.startTime;
+    });
+    if (this.observe('layout-shift', entry => this.addLayoutShift(entry))) {
+      this.cls = 0;
+    }
+    this.observe('event', entry => this.addInteraction(entry), { durationThreshold: 40 });
+    this.observe('first-input', entry => this.addInteraction(entry));
+    this.observe('resource', entry => this.addResource(entry));
+    this.observe('longtask', entry => {
+      if (entry.duration > 50) {
+        this.report('long_task', {
+          duration: entry.duration,
+          startTime: entry.startTime
+        });
+      }
+    });
+
+    // loadEventEnd is only set once the load handlers have run
+    if (document.readyState === 'complete') {
+      setTimeout(() => this.reportNavigation(), 0);
+    } else {
+      window.addEventListener('load', () => setTimeout(() => this.reportNavigation(), 0));
+    }
+  }
+
+  /**
+   * Observe one entry type if the browser supports it; whether it does
+   */
+  observe(type, callback, options = {}) {
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    if (!supported.includes(type)) return false;
+
+    try {
+      const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+      observer.observe({ type, buffered: true, ...options });
+      this.observers.push(observer);
+      return true;
+    } catch (e) {
+      // Older browsers reject some observer options
+      return false;
+    }
+  }
+
+  /**
+   * Navigation Timing Level 2 breakdown and TTFB
+   */
+  reportNavigation() {
+    const [navigation] = performance.getEntriesByType('navigation');
+    if (!navigation) return;
+
+    // Prerendered pages count from activation, not from the prerender
+    const ttfb = Math.max(0, navigation.responseStart - (navigation.activationStart || 0));
+    this.reportVital('TTFB', ttfb);
+
+    this.report('performance', {
+      payload: {
+        path: this.path,
+        navigationType: navigation.type,
+        protocol: navigation.nextHopProtocol,
+        dns: Math.round(navigation.domainLookupEnd - navigation.domainLookupStart),
+        tcp: Math.round(navigation.connectEnd - navigation.connectStart),
+        tls: navigation.secureConnectionStart > 0
+          ? Math.round(navigation.connectEnd - navigation.secureConnectionStart)
+          : 0,
+        ttfb: Math.round(ttfb),
+        download: Math.round(navigation.responseEnd - navigation.responseStart),
+        domContentLoaded: Math.round(navigation.domContentLoadedEventEnd),
+        load: Math.round(navigation.loadEventEnd),
+        transferSize: navigation.transferSize || 0
+      }
+    });
+  }
+
+  /**
+   * CLS: largest burst of shifts (gaps under 1s, at most 5s long)
+   */
+  addLayoutShift(entry) {
+    if (entry.hadRecentInput) return;
+
+    const current = this.clsWindow;
+    if (current && entry.startTime - current.last < 1000 && entry.startTime - current.first < 5000) {
+      current.value += entry.value;
+      current.last = entry.startTime;
+    } else {
+      this.clsWindow = { value: entry.value, first: entry.startTime, last: entry.startTime };
+    }
+
+    this.cls = Math.max(this.cls, this.clsWindow.value);
+  }
+
+  /**
+   * INP: keep the longest event duration per interaction
+   */
+  addInteraction(entry) {
+    if (!entry.interactionId) return;
+
+    const longest = this.interactions.get(entry.interactionId) || 0;
+    this.interactions.set(entry.interactionId, Math.max(longest, entry.duration));
+  }
+
+  /**
+   * Worst interaction, ignoring one outlier per 50 interactions (~p98)
+   */
+  getINP() {
+    const durations = Array.from(this.interactions.values()).sort((a, b) => b - a);
+    if (durations.length === 0) return null;
+
+    return durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+  }
+
+  /**
+   * Aggregate resource timing per initiator type
+   */
+  addResource(entry) {
+    const type = entry.initiatorType || 'other';
+    const totals = this.resources[type] || (this.resources[type] = { count: 0, transferSize: 0, duration: 0 });
+
+    totals.count++;
+    totals.transferSize += entry.transferSize || 0;
+    totals.duration += entry.duration;
+
+    this.slowResources.push({
+      url: entry.name.substring(0, 200),
+      type,
+      duration: Math.round(entry.duration),
+      transferSize: entry.transferSize || 0
+    });
+    this.slowResources.sort((a, b) => b.duration - a.duration);
+    this.slowResources.length = Math.min(this.slowResources.length, this.maxSlowResources);
+  }
+
+  resetResources() {
+    this.resources = {};
+    this.slowResources = [];
+  }
+
+  /**
+   * Report a vital with its rating, unless this value was already reported
+   */
+  reportVital(name, value) {
+    if (value === null || value === undefined) return;
+
+    const rounded = name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value);
+    if (this.reported.get(name) === rounded) return;
+    this.reported.set(name, rounded);
+
+    const [good, poor] = VITAL_THRESHOLDS[name];
+    const rating = rounded <= good ? 'good' : rounded <= poor ? 'needs-improvement' : 'poor';
+
+    this.report('web_vital', {
+      payload: {
+        id: this.id,
+        name,
+        value: rounded,
+        rating,
+        path: this.path
+      }
+    });
+  }
+
+  /**
+   * Report the current LCP, CLS and INP (when changed), and resources loaded
+   * since the last call
+   */
+  finalize() {
+    this.reportVital('LCP', this.lcp);
+    this.reportVital('CLS', this.cls);
+    this.reportVital('INP', this.getINP());
+
+    if (Object.keys(this.resources).length > 0) {
+      const byType = {};
+      for (const [type, totals] of Object.entries(this.resources)) {
+        byType[type] = {
+          count: totals.count,
+          transferSize: totals.transferSize,
+          avgDuration: Math.round(totals.duration / totals.count)
+        };
+      }
+
+      this.report('resource_timing', {
+        payload: { path: this.path, byType, slowest: this.slowResources }
+      });
+      this.resetResources();
+    }
+  }
+
+  /**
+   * Stop observing
+   */
+  stop() {
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers = [];
+  }
+}
+
+// Export for use in tracker
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PerformanceCollector;
+}
@@ -129,6 +129,29 @@ class SessionHasher {
     }
   }
 
+  /**
+   * Raw WebGL vendor/renderer for server-side consistency checks
+   * (not part of the hash - the fingerprint only keeps a digest of it)
+   */
+  getWebGLRenderer() {
+    try {
+      const canvas = document.createElement('canvas');
+      const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+
+      if (!gl) return null;
+
+      const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+      if (!debugInfo) return null;
+
+      return {
+        vendor: gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL),
+        renderer: gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL)
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
   /**
    * Font detection fingerprinting
    */
@@ -243,6 +266,12 @@ class SessionHasher {
       screenWidth: this.components.screen?.width || 0,
       screenHeight: this.components.screen?.height || 0,
       timezone: this.components.timezone?.timezone || 'Unknown',
+      timezoneOffset: this.components.timezone?.offset ?? null,
+      language: this.components.language?.language || null,
+      languages: this.components.language?.languages || [],
+      platform: this.components.platform?.platform || null,
+      maxTouchPoints: this.components.platform?.maxTouchPoints || 0,
+      webgl: this.getWebGLRenderer(),
       networkType: this.getNetworkType(),
       batteryLevel: null // Will be populated asynchronously
     };
@@ -16,7 +16,30 @@
         batchSize: config.batchSize || 10,
         flushInterval: config.flushInterval || 2000,
         debug: config.debug || false,
-        ...config
+        trackPageViews: true,
+        detectFrustration: true,
+        ...config,
+        errorTracking: {
+          enabled: true,
+          captureConsole: true,
+          maxPerMinute: 10,
+          dedupeWindow: 60000,
+          ...config.errorTracking
+        },
+        networkShaping: { enabled: false, include: [], exclude: [], ...config.networkShaping },
+        offlineQueue: {
+          maxEvents: 1000,
+          maxAge: 24 * 60 * 60 * 1000,
+          drainInterval: 250,
+          ...config.offlineQueue
+        },
+        reconnect: {
+          baseDelay: 1000,
+          maxDelay: 60000,
+          maxAttempts: 10,
+          stableAfter: 10000,
+          ...config.reconnect
+        }
       };
 
       // State
@@ -26,10 +49,49 @@
       this.isConnected = false;
       this.eventQueue = [];
       this.flushTimer = null;
+      this.isDraining = false;
+      this.pendingOffline = Promise.resolve();
+      this.reconnectAttempts = 0;
+      this.reconnectTimer = null;
+      this.stableTimer = null;
+      this.isDisconnecting = false;
+      this.pageTrackingInstalled = false;
+      this.performanceCollector = null;
+      this.frustrationDetector = null;
+      this.currentPage = null; // { path, url, enteredAt } for page_view events
+      this.resumeToken = null; // From the server's "connected" message
 
       // Components
       this.sessionHasher = new SessionHasher();
       this.dispatcher = new CommandDispatcher(this);
+      this.elementSelector = new ElementSelector();
+
+      // Opt-in: let SET_LATENCY slow the page's own fetch/XHR traffic
+      this.networkShaper = new NetworkShaper({
+        ...this.config.networkShaping,
+        // Never shape our own server
+        alwaysExclude: [this.config.serverUrl.replace(/^ws/, 'http') + '*']
+      });
+      this.networkShaper.install();
+
+      // JavaScript errors, linked to the last command this page received
+      this.errorTracker = new ErrorTracker(error => {
+        const lastCommand = this.dispatcher.getLastCommand();
+
+        this.trackEvent('error', {
+          payload: {
+            ...error,
+            path: this.getPagePath(),
+            lastCommand: lastCommand ? { ...lastCommand, msAgo: Date.now() - lastCommand.at } : null
+          }
+        });
+      }, this.config.errorTracking);
+      if (this.config.errorTracking.enabled) {
+        this.errorTracker.install();
+      }
+
+      // Events flushed while disconnected wait here (survives reloads)
+      this.offlineQueue = new OfflineQueue(this.config.offlineQueue);
 
       // Initialize
       if (this.config.autoConnect) {
@@ -73,6 +135,17 @@
      * Connect to WebSocket server
      */
     connect() {
+      this.isDisconnecting = false;
+
+      // Reinstall what a previous disconnect() removed (no-ops otherwise)
+      this.networkShaper.install();
+      if (this.config.errorTracking.enabled) {
+        this.errorTracker.install();
+      }
+      if (this.frustrationDetector) {
+        this.frustrationDetector.install();
+      }
+
       return new Promise((resolve, reject) => {
         try {
           this.socket = new WebSocket(this.config.serverUrl);
@@ -81,8 +154,28 @@
             this.isConnected = true;
             this.log('Connected to server');
 
-            // Send initial handshake
-            this.sendHandshake();
+            // A server that accepts and then drops connections must not reset
+            // the backoff: only a successful resume or a connection that
+            // stays up counts
+            this.stableTimer = setTimeout(() => {
+              this.stableTimer = null;
+              this.reconnectAttempts = 0;
+            }, this.config.reconnect.stableAfter);
+
+            // Resume the previous connection if we have a token, else handshake
+            if (this.resumeToken) {
+              this.sendEvent({
+                type: 'resume',
+                sessionHash: this.sessionHash,
+                resumeToken: this.resumeToken,
+                timestamp: Date.now()
+              });
+            } else {
+              this.sendHandshake();
+            }
+
+            // Then anything queued while offline
+            this.drainOfflineQueue();
 
             resolve();
           };
@@ -97,11 +190,12 @@
 
           this.socket.onclose = () => {
             this.isConnected = false;
+            clearTimeout(this.stableTimer);
+            this.stableTimer = null;
             this.log('Disconnected from server');
 
-            // Attempt reconnection after 5 seconds
-            if (!this.dispatcher.isTerminated) {
-              setTimeout(() => this.connect(), 5000);
+            if (!this.dispatcher.isTerminated && !this.isDisconnecting) {
+              this.scheduleReconnect();
             }
           };
 
@@ -111,6 +205,32 @@
       });
     }
 
+    /**
+     * Reconnect with exponential backoff and full jitter, so clients dropped
+     * together (e.g. by a server deploy) do not all come back at once
+     */
+    scheduleReconnect() {
+      const { baseDelay, maxDelay, maxAttempts } = this.config.reconnect;
+
+      if (this.reconnectAttempts >= maxAttempts) {
+        console.warn(`[TrafficAnalytics] Giving up after ${maxAttempts} reconnection attempts`);
+        return;
+      }
+
+      const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, this.reconnectAttempts));
+      const delay = Math.round(Math.random() * ceiling);
+      this.reconnectAttempts++;
+
+      this.log(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${maxAttempts})`);
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        this.connect().catch(error => {
+          console.error('[TrafficAnalytics] Reconnection failed:', error);
+          this.scheduleReconnect();
+        });
+      }, delay);
+    }
+
     /**
      * Send initial handshake with device metadata
      */
@@ -158,6 +278,20 @@
         this.trackEvent('visibility_change', {
           hidden: document.hidden
         });
+
+        // The page may never come back: report current vitals while we can
+        if (document.hidden && this.performanceCollector) {
+          this.performanceCollector.finalize();
+          this.flush();
+        }
+      });
+
+      // Vitals changed since the last hide go out with the page's last pagehide
+      window.addEventListener('pagehide', () => {
+        if (this.performanceCollector) {
+          this.performanceCollector.finalize();
+          this.flush(true);
+        }
       });
 
       // Before unload
@@ -169,6 +303,84 @@
       if (window.PerformanceObserver) {
         this.observePerformance();
       }
+
+      // Page views, including SPA route changes
+      if (this.config.trackPageViews) {
+        this.setupPageTracking();
+      }
+
+      // Rage clicks, dead clicks and scroll thrashing
+      if (this.config.detectFrustration && !this.frustrationDetector) {
+        this.frustrationDetector = new FrustrationDetector(
+          (eventType, data) => this.trackEvent(eventType, data),
+          { getPath: () => this.getPagePath(), elementSelector: this.elementSelector }
+        );
+        this.frustrationDetector.install();
+      }
+    }
+
+    /**
+     * Emit page_view on load and on SPA navigation
+     * (pushState/replaceState, popstate and hash changes)
+     */
+    setupPageTracking() {
+      if (this.pageTrackingInstalled) return;
+      this.pageTrackingInstalled = true;
+
+      const tracker = this;
+      ['pushState', 'replaceState'].forEach(method => {
+        const original = window.history[method];
+        window.history[method] = function(...args) {
+          const result = original.apply(this, args);
+          tracker.schedulePageView(method === 'pushState' ? 'push' : 'replace');
+          return result;
+        };
+      });
+
+      window.addEventListener('popstate', () => this.schedulePageView('pop'));
+      window.addEventListener('hashchange', () => this.schedulePageView('hash'));
+
+      this.trackPageView('load');
+    }
+
+    /**
+     * Track a route change once the app had a chance to update document.title
+     */
+    schedulePageView(navigationType) {
+      setTimeout(() => this.trackPageView(navigationType), 0);
+    }
+
+    /**
+     * Current page path (hash routes like #/settings count as pages, anchors do not)
+     */
+    getPagePath() {
+      const { pathname, hash } = window.location;
+      return hash.startsWith('#/') ? pathname + hash : pathname;
+    }
+
+    /**
+     * Track a page view with the time spent on the previous page
+     */
+    trackPageView(navigationType) {
+      const path = this.getPagePath();
+
+      // Query-only replaceState or popstate + hashchange for one navigation
+      if (this.currentPage && this.currentPage.path === path) return;
+
+      const now = Date.now();
+      const previous = this.currentPage;
+      this.currentPage = { path, url: window.location.href, enteredAt: now };
+
+      this.trackEvent('page_view', {
+        payload: {
+          path,
+          title: document.title,
+          referrer: previous ? previous.url : document.referrer,
+          previousPath: previous ? previous.path : null,
+          timeOnPreviousPage: previous ? now - previous.enteredAt : null,
+          navigationType
+        }
+      });
     }
 
     /**
@@ -183,14 +395,10 @@
         timestamp: Date.now()
       };
 
-      // Extract element details for clicks
+      // Extract element details and positions for clicks (heatmaps)
       if (type === 'click' && event.target) {
-        data.element = {
-          tag: event.target.tagName,
-          id: event.target.id || null,
-          class: event.target.className || null,
-          text: event.target.textContent?.substring(0, 50) || null
-        };
+        data.element = this.elementSelector.describe(event.target);
+        data.payload = this.getClickPosition(event);
       } else if (type === 'scroll') {
         data.scroll = event;
       }
@@ -198,6 +406,31 @@
       this.trackEvent('interaction', data);
     }
 
+    /**
+     * Viewport- and document-relative click position. xRatio is relative to
+     * the document width so layouts at different widths line up.
+     */
+    getClickPosition(event) {
+      const root = document.documentElement;
+      const documentWidth = Math.max(root.scrollWidth, root.clientWidth) || 1;
+      const documentHeight = Math.max(root.scrollHeight, root.clientHeight) || 1;
+
+      return {
+        path: this.getPagePath(),
+        selector: this.elementSelector.getSelector(event.target),
+        x: Math.round(event.clientX),
+        y: Math.round(event.clientY),
+        pageX: Math.round(event.pageX),
+        pageY: Math.round(event.pageY),
+        xRatio: Math.round((event.pageX / documentWidth) * 10000) / 10000,
+        yRatio: Math.round((event.pageY / documentHeight) * 10000) / 10000,
+        viewportWidth: window.innerWidth,
+        viewportHeight: window.innerHeight,
+        documentWidth,
+        documentHeight
+      };
+    }
+
     /**
      * Track custom event
      */
@@ -209,6 +442,9 @@
         sessionHash: this.sessionHash,
         timestamp: Date.now(),
         pageUrl: window.location.href,
+        // Lets the server break down funnels by network and throttling
+        networkType: this.sessionHasher.getNetworkType(),
+        isThrottled: this.dispatcher.currentLatency > 0,
         ...data
       };
 
@@ -222,18 +458,28 @@
     }
 
     /**
-     * Send event to server
+     * Send event to server (batches are queued offline if that fails)
      */
     sendEvent(event) {
       if (!this.isConnected || !this.socket) {
-        this.log('Not connected, queueing event');
-        return;
+        if (event.type === 'batch') {
+          this.log('Not connected, queueing', event.events.length, 'events offline');
+          this.queueOffline(event.events);
+        } else {
+          this.log('Not connected, dropping', event.type);
+        }
+        return false;
       }
 
       try {
         this.socket.send(JSON.stringify(event));
+        return true;
       } catch (error) {
         console.error('[TrafficAnalytics] Failed to send event:', error);
+        if (event.type === 'batch') {
+          this.queueOffline(event.events);
+        }
+        return false;
       }
     }
 
@@ -253,15 +499,76 @@
         timestamp: Date.now()
       };
 
-      if (immediate && navigator.sendBeacon) {
+      if (immediate && navigator.sendBeacon && navigator.onLine !== false) {
         // Use sendBeacon for unload events
         const blob = new Blob([JSON.stringify(payload)], { type: 'application/json' });
-        navigator.sendBeacon(this.config.serverUrl.replace('ws://', 'http://') + '/beacon', blob);
+        if (!navigator.sendBeacon(this.config.serverUrl.replace('ws://', 'http://') + '/beacon', blob)) {
+          this.queueOffline(events);
+        }
+      } else if (this.isDraining) {
+        // ORDERING: Older offline events go first
+        this.queueOffline(events);
       } else {
         this.sendEvent(payload);
       }
     }
 
+    /**
+     * Persist events to the offline queue (in call order)
+     */
+    queueOffline(events) {
+      this.pendingOffline = this.pendingOffline
+        .then(() => this.offlineQueue.push(events))
+        .catch(error => {
+          console.error('[TrafficAnalytics] Failed to queue events offline:', error);
+        });
+      return this.pendingOffline;
+    }
+
+    /**
+     * Send queued offline events in order, one paced batch at a time
+     */
+    async drainOfflineQueue() {
+      if (this.isDraining) return;
+      this.isDraining = true;
+
+      try {
+        while (this.isConnected) {
+          const pending = this.pendingOffline;
+          await pending;
+
+          const entries = await this.offlineQueue.peek(this.config.batchSize);
+          if (entries.length === 0) {
+            // Stop unless a flush queued more events meanwhile
+            if (pending === this.pendingOffline) break;
+            continue;
+          }
+
+          // The socket can close during the awaits above; entries stay queued
+          // for the next connection
+          if (!this.socket || this.socket.readyState !== WebSocket.OPEN) break;
+
+          // Sent directly: a failed send must leave the entries queued, not re-queue them
+          this.socket.send(JSON.stringify({
+            type: 'batch',
+            sessionHash: this.sessionHash,
+            events: entries.map(entry => entry.event),
+            timestamp: Date.now()
+          }));
+
+          await this.offlineQueue.remove(entries[entries.length - 1].id);
+          this.log('Sent', entries.length, 'offline events');
+
+          // Stay under the server's per-session rate limit
+          await new Promise(resolve => setTimeout(resolve, this.config.offlineQueue.drainInterval));
+        }
+      } catch (error) {
+        console.error('[TrafficAnalytics] Failed to drain offline queue:', error);
+      } finally {
+        this.isDraining = false;
+      }
+    }
+
     /**
      * Start automatic flush timer
      */
@@ -281,8 +588,21 @@
 
         if (message.type === 'command') {
           await this.dispatcher.dispatch(message.command);
+        } else if (message.type === 'connected') {
+          // Used to resume this connection after the next drop
+          this.resumeToken = message.resumeToken || null;
+        } else if (message.type === 'resumed') {
+          this.reconnectAttempts = 0;
+        } else if (message.type === 'resume_failed') {
+          this.log('Resume failed:', message.reason);
+          this.sendHandshake();
         } else if (message.type === 'ping') {
           this.sendEvent({ type: 'pong', timestamp: Date.now() });
+
+          // Requests shaped since the last SET_LATENCY ack or heartbeat
+          if (this.networkShaper.hasReport()) {
+            this.trackEvent('shaped_requests', { payload: this.networkShaper.takeReport() });
+          }
         }
       } catch (error) {
         console.error('[TrafficAnalytics] Failed to handle message:', error);
@@ -303,40 +623,19 @@
     }
 
     /**
-     * Observe performance metrics
+     * Observe Core Web Vitals, navigation and resource timing
      */
     observePerformance() {
       try {
-        // Navigation timing
-        if (window.performance && window.performance.timing) {
-          window.addEventListener('load', () => {
-            setTimeout(() => {
-              const timing = window.performance.timing;
-              this.trackEvent('performance', {
-                dns: timing.domainLookupEnd - timing.domainLookupStart,
-                tcp: timing.connectEnd - timing.connectStart,
-                ttfb: timing.responseStart - timing.requestStart,
-                download: timing.responseEnd - timing.responseStart,
-                domLoad: timing.domContentLoadedEventEnd - timing.navigationStart,
-                windowLoad: timing.loadEventEnd - timing.navigationStart
-              });
-            }, 0);
+        this.performanceCollector = new PerformanceCollector((eventType, data) => {
+          // Latency lets the server compare throttled and normal sessions
+          this.trackEvent(eventType, {
+            ...data,
+            latencyMs: this.dispatcher.currentLatency
           });
-        }
-
-        // Long tasks
-        const observer = new PerformanceObserver((list) => {
-          for (const entry of list.getEntries()) {
-            if (entry.duration > 50) {
-              this.trackEvent('long_task', {
-                duration: entry.duration,
-                startTime: entry.startTime
-              });
-            }
-          }
-        });
+        }, { path: this.getPagePath() });
 
-        observer.observe({ entryTypes: ['longtask'] });
+        this.performanceCollector.start();
       } catch (e) {
         this.log('Performance observation not supported');
       }
@@ -419,12 +718,22 @@
      * Disconnect from server
      */
     disconnect() {
+      this.isDisconnecting = true;
+      if (this.reconnectTimer) {
+        clearTimeout(this.reconnectTimer);
+      }
+      clearTimeout(this.stableTimer);
       if (this.socket) {
         this.socket.close();
       }
       if (this.flushTimer) {
         clearInterval(this.flushTimer);
       }
+      this.networkShaper.uninstall();
+      this.errorTracker.uninstall();
+      if (this.frustrationDetector) {
+        this.frustrationDetector.uninstall();
+      }
       this.isConnected = false;
     }
 
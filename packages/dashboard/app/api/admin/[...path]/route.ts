@@ -0,0 +1,57 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { API_URL, getAdminSession, unauthorized, withSession } from '@/lib/admin-session';
+
+/**
+ * Admin API Proxy Route Handler
+ * Forwards /api/admin/* to the backend's /admin/* as the logged-in admin
+ * (the backend checks the role for each route)
+ */
+
+type RouteParams = {
+  params: {
+    path: string[];
+  };
+};
+
+async function proxy(request: NextRequest, { params }: RouteParams) {
+  const session = await getAdminSession(request);
+  if (!session) {
+    return unauthorized();
+  }
+
+  try {
+    const url = new URL(request.url);
+    const path = params.path.map(encodeURIComponent).join('/');
+    const body = ['GET', 'HEAD'].includes(request.method) ? undefined : await request.text();
+
+    const response = await fetch(`${API_URL}/admin/${path}${url.search}`, {
+      method: request.method,
+      headers: {
+        Authorization: `Bearer ${session.accessToken}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body || undefined,
+      cache: 'no-store',
+    });
+
+    const data = await response.text();
+    return withSession(
+      new NextResponse(data, {
+        status: response.status,
+        headers: { 'Content-Type': response.headers.get('Content-Type') || 'application/json' },
+      }),
+      session
+    );
+  } catch (error) {
+    console.error('[Admin API] Request failed:', error);
+    return NextResponse.json(
+      { error: 'Internal server error', message: error instanceof Error ? error.message : 'Unknown error' },
+      { status: 500 }
+    );
+  }
+}
+
+export const GET = proxy;
+export const POST = proxy;
+export const PUT = proxy;
+export const DELETE = proxy;
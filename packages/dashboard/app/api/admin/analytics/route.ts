@@ -1,14 +1,17 @@
 import { NextRequest, NextResponse } from 'next/server';
+import { API_URL, getAdminSession, unauthorized, withSession } from '@/lib/admin-session';
 
 /**
  * Sessions API Route Handler
  * Proxies session list requests to backend
  */
 
-const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
-const API_KEY = process.env.NEXT_PUBLIC_ADMIN_API_KEY || 'dev-admin-key-change-in-production';
-
 export async function GET(request: NextRequest) {
+  const session = await getAdminSession(request);
+  if (!session) {
+    return unauthorized();
+  }
+
   try {
     const url = new URL(request.url);
     const queryParams = url.searchParams.toString();
@@ -17,7 +20,7 @@ export async function GET(request: NextRequest) {
     const response = await fetch(endpoint, {
       method: 'GET',
       headers: {
-        'X-API-Key': API_KEY,
+        Authorization: `Bearer ${session.accessToken}`,
         'Content-Type': 'application/json',
       },
       cache: 'no-store',
@@ -26,14 +29,17 @@ export async function GET(request: NextRequest) {
     if (!response.ok) {
       const errorText = await response.text();
       console.error('[Sessions API] Backend error:', response.status, errorText);
-      return NextResponse.json(
-        { error: 'Failed to fetch sessions', details: errorText },
-        { status: response.status }
+      return withSession(
+        NextResponse.json(
+          { error: 'Failed to fetch sessions', details: errorText },
+          { status: response.status }
+        ),
+        session
       );
     }
 
     const data = await response.json();
-    return NextResponse.json(data);
+    return withSession(NextResponse.json(data), session);
   } catch (error) {
     console.error('[Sessions API] Request failed:', error);
     return NextResponse.json(
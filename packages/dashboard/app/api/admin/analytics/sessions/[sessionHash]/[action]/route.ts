@@ -1,13 +1,11 @@
 import { NextRequest, NextResponse } from 'next/server';
+import { API_URL, getAdminSession, unauthorized, withSession } from '@/lib/admin-session';
 
 /**
  * Session Actions API Route Handler
  * Proxies session action requests (upspin, downspin, terminate, notify, redirect)
  */
 
-const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
-const API_KEY = process.env.NEXT_PUBLIC_ADMIN_API_KEY || 'dev-admin-key-change-in-production';
-
 type RouteParams = {
   params: {
     sessionHash: string;
@@ -16,15 +14,23 @@ type RouteParams = {
 };
 
 export async function POST(request: NextRequest, { params }: RouteParams) {
+  const session = await getAdminSession(request);
+  if (!session) {
+    return unauthorized();
+  }
+
   try {
     const { sessionHash, action } = params;
 
     // Validate action
     const validActions = ['upspin', 'downspin', 'terminate', 'notify', 'redirect'];
     if (!validActions.includes(action)) {
-      return NextResponse.json(
-        { error: 'Invalid action', validActions },
-        { status: 400 }
+      return withSession(
+        NextResponse.json(
+          { error: 'Invalid action', validActions },
+          { status: 400 }
+        ),
+        session
       );
     }
 
@@ -41,7 +47,7 @@ export async function POST(request: NextRequest, { params }: RouteParams) {
     const response = await fetch(endpoint, {
       method: 'POST',
       headers: {
-        'X-API-Key': API_KEY,
+        Authorization: `Bearer ${session.accessToken}`,
         'Content-Type': 'application/json',
       },
       body: JSON.stringify(body),
@@ -50,14 +56,17 @@ export async function POST(request: NextRequest, { params }: RouteParams) {
     if (!response.ok) {
       const errorText = await response.text();
       console.error('[Session Action API] Backend error:', response.status, errorText);
-      return NextResponse.json(
-        { error: `Failed to execute ${action}`, details: errorText },
-        { status: response.status }
+      return withSession(
+        NextResponse.json(
+          { error: `Failed to execute ${action}`, details: errorText },
+          { status: response.status }
+        ),
+        session
       );
     }
 
     const data = await response.json();
-    return NextResponse.json(data);
+    return withSession(NextResponse.json(data), session);
   } catch (error) {
     console.error('[Session Action API] Request failed:', error);
     return NextResponse.json(
@@ -68,14 +77,22 @@ export async function POST(request: NextRequest, { params }: RouteParams) {
 }
 
 export async function GET(request: NextRequest, { params }: RouteParams) {
+  const session = await getAdminSession(request);
+  if (!session) {
+    return unauthorized();
+  }
+
   try {
     const { sessionHash, action } = params;
 
     // Only allow GET for specific actions
     if (action !== 'details') {
-      return NextResponse.json(
-        { error: 'GET method not supported for this action' },
-        { status: 405 }
+      return withSession(
+        NextResponse.json(
+          { error: 'GET method not supported for this action' },
+          { status: 405 }
+        ),
+        session
       );
     }
 
@@ -84,7 +101,7 @@ export async function GET(request: NextRequest, { params }: RouteParams) {
     const response = await fetch(endpoint, {
       method: 'GET',
       headers: {
-        'X-API-Key': API_KEY,
+        Authorization: `Bearer ${session.accessToken}`,
         'Content-Type': 'application/json',
       },
       cache: 'no-store',
@@ -93,14 +110,17 @@ export async function GET(request: NextRequest, { params }: RouteParams) {
     if (!response.ok) {
       const errorText = await response.text();
       console.error('[Session Details API] Backend error:', response.status, errorText);
-      return NextResponse.json(
-        { error: 'Failed to fetch session details', details: errorText },
-        { status: response.status }
+      return withSession(
+        NextResponse.json(
+          { error: 'Failed to fetch session details', details: errorText },
+          { status: response.status }
+        ),
+        session
       );
     }
 
     const data = await response.json();
-    return NextResponse.json(data);
+    return withSession(NextResponse.json(data), session);
   } catch (error) {
     console.error('[Session Details API] Request failed:', error);
     return NextResponse.json(
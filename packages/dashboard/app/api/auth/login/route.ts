@@ -0,0 +1,28 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { requestTokens, setAuthCookies } from '@/lib/admin-session';
+
+/**
+ * Login API Route Handler
+ * Exchanges username and password for backend tokens, kept in httpOnly cookies
+ */
+
+export async function POST(request: NextRequest) {
+  try {
+    const { username, password } = await request.json();
+
+    const tokens = await requestTokens('login', { username, password });
+    if (!tokens) {
+      return NextResponse.json({ error: 'Invalid username or password' }, { status: 401 });
+    }
+
+    const response = NextResponse.json({ success: true, user: tokens.user });
+    setAuthCookies(response, tokens);
+    return response;
+  } catch (error) {
+    console.error('[Login API] Request failed:', error);
+    return NextResponse.json(
+      { error: 'Internal server error', message: error instanceof Error ? error.message : 'Unknown error' },
+      { status: 500 }
+    );
+  }
+}
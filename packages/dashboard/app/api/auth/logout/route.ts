@@ -0,0 +1,29 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { API_URL, REFRESH_COOKIE, clearAuthCookies } from '@/lib/admin-session';
+
+/**
+ * Logout API Route Handler
+ * Revokes the refresh token on the backend and clears the session cookies
+ */
+
+export async function POST(request: NextRequest) {
+  const refreshToken = request.cookies.get(REFRESH_COOKIE)?.value;
+
+  if (refreshToken) {
+    try {
+      await fetch(`${API_URL}/admin/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+        cache: 'no-store',
+      });
+    } catch (error) {
+      // The cookies are cleared anyway; the token expires on its own
+      console.error('[Logout API] Revoke failed:', error);
+    }
+  }
+
+  const response = NextResponse.json({ success: true });
+  clearAuthCookies(response);
+  return response;
+}
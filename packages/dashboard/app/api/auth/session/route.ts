@@ -0,0 +1,16 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getAdminSession, unauthorized, withSession } from '@/lib/admin-session';
+
+/**
+ * Session API Route Handler
+ * Returns the logged-in admin (username and role) for the dashboard header
+ */
+
+export async function GET(request: NextRequest) {
+  const session = await getAdminSession(request);
+  if (!session) {
+    return unauthorized();
+  }
+
+  return withSession(NextResponse.json({ success: true, user: session.user }), session);
+}
@@ -25,6 +25,14 @@ export default function DashboardPage() {
   const [stats, setStats] = useState<Stats | null>(null);
   const [geoData, setGeoData] = useState([]);
   const [timeSeriesData, setTimeSeriesData] = useState([]);
+  const [user, setUser] = useState<{ username: string; role: string } | null>(null);
+
+  useEffect(() => {
+    fetch('/api/auth/session')
+      .then((response) => response.json())
+      .then((data) => setUser(data.user || null))
+      .catch(() => setUser(null));
+  }, []);
 
   useEffect(() => {
     loadStats();
@@ -34,12 +42,12 @@ export default function DashboardPage() {
 
   const loadStats = async () => {
     try {
-      const response = await fetch('/api/admin/analytics', {
-        headers: {
-          'X-API-Key': process.env.NEXT_PUBLIC_ADMIN_API_KEY || ''
-        }
-      });
-      
+      const response = await fetch('/api/admin/analytics');
+      if (response.status === 401) {
+        window.location.href = '/login';
+        return;
+      }
+
       const data = await response.json();
       
       if (data.success) {
@@ -51,6 +59,11 @@ export default function DashboardPage() {
     }
   };
 
+  const logout = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    window.location.href = '/login';
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-white">
       {/* Header */}
@@ -73,6 +86,17 @@ export default function DashboardPage() {
                   <span className="font-semibold text-green-700">Operational</span>
                 </div>
               </div>
+              <div className="text-right border-l border-gray-200 pl-4">
+                <div className="text-sm text-gray-500">
+                  {user ? `${user.username} (${user.role})` : 'Signed in'}
+                </div>
+                <button
+                  onClick={logout}
+                  className="text-sm font-semibold text-blue-600 hover:text-blue-800"
+                >
+                  Log out
+                </button>
+              </div>
             </div>
           </div>
         </div>
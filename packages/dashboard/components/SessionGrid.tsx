@@ -49,11 +49,11 @@ export default function SessionGrid({ onAction }: SessionGridProps) {
         ? '/api/admin/high-risk'
         : '/api/admin/sessions';
       
-      const response = await fetch(endpoint, {
-        headers: {
-          'X-API-Key': process.env.NEXT_PUBLIC_ADMIN_API_KEY || ''
-        }
-      });
+      const response = await fetch(endpoint);
+      if (response.status === 401) {
+        window.location.href = '/login';
+        return;
+      }
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
@@ -73,8 +73,7 @@ export default function SessionGrid({ onAction }: SessionGridProps) {
       const response = await fetch(`/api/admin/sessions/${sessionHash}/${action}`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json',
-          'X-API-Key': process.env.NEXT_PUBLIC_ADMIN_API_KEY || ''
+          'Content-Type': 'application/json'
         },
         body: JSON.stringify(payload || {})
       });
@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import { NextRequest, NextResponse } from 'next/server';
+
+/**
+ * Admin Session Helpers (server-side only)
+ * The dashboard logs in through /admin/auth on the backend and keeps the
+ * tokens in httpOnly cookies, so the browser never holds an API key or a
+ * readable token. Proxy routes check the access token here, refresh it when
+ * it has expired, and forward it to the backend as a Bearer token.
+ */
+
+export const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
+
+// Same secret as the backend's ADMIN_JWT_SECRET (never NEXT_PUBLIC_)
+const JWT_SECRET = process.env.ADMIN_JWT_SECRET || '';
+
+export const ACCESS_COOKIE = 'tae_access';
+export const REFRESH_COOKIE = 'tae_refresh';
+
+export interface AdminTokens {
+  accessToken: string;
+  refreshToken: string;
+  expiresIn: number;
+  refreshExpiresIn: number;
+  user: AdminUser;
+}
+
+export interface AdminUser {
+  adminId: string | null;
+  username: string;
+  role: string;
+}
+
+export interface AdminSession {
+  accessToken: string;
+  user: AdminUser;
+  refreshed: AdminTokens | null; // New tokens to store on the response
+}
+
+/**
+ * User from a valid, unexpired HS256 access token, or null
+ */
+export function verifyAccessToken(token: string | undefined): AdminUser | null {
+  if (!token || !JWT_SECRET) return null;
+
+  const [header, claims, signature] = token.split('.');
+  if (!header || !claims || !signature) return null;
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${claims}`).digest('base64url')
+  );
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(claims, 'base64url').toString());
+    if (!(payload.exp > Date.now() / 1000)) return null;
+
+    return { adminId: payload.sub, username: payload.username, role: payload.role };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Call a backend /admin/auth endpoint; tokens on success, null otherwise
+ */
+export async function requestTokens(path: 'login' | 'refresh', body: object): Promise<AdminTokens | null> {
+  const response = await fetch(`${API_URL}/admin/auth/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    cache: 'no-store',
+  });
+
+  if (!response.ok) return null;
+  return response.json();
+}
+
+/**
+ * The logged-in admin for a request, refreshing an expired access token.
+ * Null when there is no valid session.
+ */
+export async function getAdminSession(request: NextRequest): Promise<AdminSession | null> {
+  const accessToken = request.cookies.get(ACCESS_COOKIE)?.value;
+  const user = verifyAccessToken(accessToken);
+  if (accessToken && user) {
+    return { accessToken, user, refreshed: null };
+  }
+
+  const refreshToken = request.cookies.get(REFRESH_COOKIE)?.value;
+  if (!refreshToken) return null;
+
+  const refreshed = await requestTokens('refresh', { refreshToken });
+  if (!refreshed) return null;
+
+  return { accessToken: refreshed.accessToken, user: refreshed.user, refreshed };
+}
+
+export function setAuthCookies(response: NextResponse, tokens: AdminTokens) {
+  const options = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict' as const,
+    path: '/',
+  };
+
+  response.cookies.set(ACCESS_COOKIE, tokens.accessToken, { ...options, maxAge: tokens.expiresIn });
+  response.cookies.set(REFRESH_COOKIE, tokens.refreshToken, { ...options, maxAge: tokens.refreshExpiresIn });
+}
+
+export function clearAuthCookies(response: NextResponse) {
+  response.cookies.set(ACCESS_COOKIE, '', { path: '/', maxAge: 0 });
+  response.cookies.set(REFRESH_COOKIE, '', { path: '/', maxAge: 0 });
+}
+
+/**
+ * 401 for requests without a valid session (also drops stale cookies)
+ */
+export function unauthorized() {
+  const response = NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  clearAuthCookies(response);
+  return response;
+}
+
+/**
+ * Store refreshed tokens, if any, on a response
+ */
+export function withSession<T extends NextResponse>(response: T, session: AdminSession): T {
+  if (session.refreshed) {
+    setAuthCookies(response, session.refreshed);
+  }
+  return response;
+}
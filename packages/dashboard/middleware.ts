@@ -0,0 +1,20 @@
+import { NextRequest, NextResponse } from 'next/server';
+
+/**
+ * Send visitors without a session to the login page.
+ * Only checks that a session cookie is present; the API routes verify the
+ * tokens (this runs on the edge runtime, without node crypto).
+ */
+
+export function middleware(request: NextRequest) {
+  const hasSession = request.cookies.has('tae_access') || request.cookies.has('tae_refresh');
+
+  if (!hasSession) {
+    return NextResponse.redirect(new URL('/login', request.url));
+  }
+  return NextResponse.next();
+}
+
+export const config = {
+  matcher: ['/((?!login|api|_next|favicon.ico).*)'],
+};
@@ -7,15 +7,7 @@
 const nextConfig = {
   reactStrictMode: true,
   swcMinify: true,
-  // Allow API calls to backend
-  async rewrites() {
-    return [
-      {
-        source: '/api/admin/:path*',
-        destination: `${process.env.NEXT_PUBLIC_API_URL}/admin/:path*`,
-      },
-    ];
-  },
+  // /api/admin/* is proxied by app/api/admin (adds the logged-in admin's token)
 };
 
 module.exports = nextConfig;
\ No newline at end of file
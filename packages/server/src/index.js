@@ -15,10 +15,16 @@ const fastifyStatic = require("@fastify/static");
 const RedisService = require("./services/redis-service");
 const ClickHouseService = require("./services/clickhouse");
 const PostgresService = require("./services/postgres");
+const AdminAuth = require("./services/admin-auth");
+const AuditLog = require("./services/audit-log");
 const WebSocketServer = require("./websocket/server");
+const CommandDelivery = require("./websocket/command-delivery");
+const RuleEngine = require("./websocket/rule-engine");
+const BatchJobs = require("./websocket/batch-jobs");
 
 // Routes
 const adminRoutes = require("./routes/admin");
+const authRoutes = require("./routes/auth");
 
 class TrafficAnalyticsServer {
   constructor(config = {}) {
@@ -50,6 +56,8 @@ class TrafficAnalyticsServer {
     this.redis = null;
     this.clickhouse = null;
     this.postgres = null;
+    this.commandDelivery = null;
+    this.ruleEngine = null;
     this.websocket = null;
   }
 
@@ -82,6 +90,31 @@ class TrafficAnalyticsServer {
       password: process.env.POSTGRES_PASSWORD,
     });
 
+    // Command delivery (shared by admin routes and the WebSocket tier)
+    this.commandDelivery = new CommandDelivery(this.redis, this.postgres, {
+      clickhouse: this.clickhouse,
+    });
+
+    // Filter-based batch actions
+    this.batchJobs = new BatchJobs(
+      this.redis,
+      this.postgres,
+      this.commandDelivery,
+    );
+
+    // Auto-response rules
+    this.ruleEngine = new RuleEngine(
+      this.redis,
+      this.postgres,
+      this.commandDelivery,
+    );
+
+    // Admin API users and roles
+    this.adminAuth = new AdminAuth(this.postgres, this.redis);
+
+    // Hash-chained record of admin changes
+    this.auditLog = new AuditLog(this.postgres);
+
     // Health checks
     await this.healthCheck();
 
@@ -197,9 +230,20 @@ class TrafficAnalyticsServer {
       redis: this.redis,
       postgres: this.postgres,
       clickhouse: this.clickhouse,
+      commandDelivery: this.commandDelivery,
+      ruleEngine: this.ruleEngine,
+      adminAuth: this.adminAuth,
+      auditLog: this.auditLog,
+      batchJobs: this.batchJobs,
       websocket: () => this.websocket, // Pass as getter
     });
 
+    // Dashboard login (tokens for the admin routes above)
+    await this.fastify.register(authRoutes, {
+      prefix: "/admin/auth",
+      adminAuth: this.adminAuth,
+    });
+
     // Root endpoint
     this.fastify.get("/", async () => ({
       service: "Traffic Analytics Engine",
@@ -225,6 +269,10 @@ class TrafficAnalyticsServer {
       this.redis,
       this.clickhouse,
       this.postgres,
+      {
+        commandDelivery: this.commandDelivery,
+        ruleEngine: this.ruleEngine,
+      },
     );
 
     console.log("[Server] WebSocket server initialized");
@@ -310,6 +358,18 @@ class TrafficAnalyticsServer {
       }
     }, 60000);
 
+    // Expire undelivered/unacknowledged commands every minute
+    setInterval(async () => {
+      try {
+        const expired = await this.postgres.expireStaleCommands();
+        if (expired > 0) {
+          console.log(`[Background] Expired ${expired} stale commands`);
+        }
+      } catch (error) {
+        console.error("[Background] Failed to expire commands:", error);
+      }
+    }, 60000);
+
     // Cleanup old sessions daily
     setInterval(async () => {
       try {
@@ -391,9 +391,14 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { shapingOptions } = require('../websocket/commands');
+const ruleRoutes = require('./rules');
+const banRoutes = require('./bans');
+const userRoutes = require('./users');
+const auditRoutes = require('./audit');
 
 async function adminRoutes(fastify, options) {
-  const { redis, postgres, clickhouse, websocket: getWebsocket } = options;
+  const { redis, postgres, clickhouse, commandDelivery, ruleEngine, adminAuth, auditLog, batchJobs, websocket: getWebsocket } = options;
   
   // Helper to get websocket instance
   const getWs = () => {
@@ -403,20 +408,76 @@ async function adminRoutes(fastify, options) {
     return getWebsocket;
   };
 
-  // API Key authentication middleware
+  // Delivery overrides accepted on any command route
+  const deliveryOptions = (request) => {
+    const body = request.body || {};
+    return {
+      adminId: request.admin.username,
+      adminIp: request.ip,
+      maxRetries: body.max_retries,
+      ackTimeoutMs: body.ack_timeout_ms,
+      ttlSeconds: body.ttl_seconds
+    };
+  };
+
+  // Session mode as recorded in the audit log
+  const modeState = (session) => (session ? { mode: session.mode, latencyMs: session.current_latency_ms } : null);
+
+  // Audit entry for a command sent to one session
+  const auditCommand = (request, action, { sessionHash, command, delivery, before = null, after = null }) =>
+    auditLog.record(request, {
+      action: `command.${action}`,
+      targetType: 'session',
+      target: sessionHash,
+      sessionHashes: [sessionHash],
+      before,
+      after,
+      details: { command, delivery: delivery.status }
+    });
+
+  // Page key the SDK reports: pathname, plus the hash for #/ routes
+  const pagePath = (pageUrl) => {
+    const url = new URL(pageUrl, 'http://localhost');
+    return url.pathname + (url.hash.startsWith('#/') ? url.hash : '');
+  };
+
+  // Authenticate the admin user, then check the permission the route declares
+  // in its config (routes without one are denied)
   fastify.addHook('preHandler', async (request, reply) => {
-    const apiKey = request.headers['x-api-key'];
-    const validKey = process.env.ADMIN_API_KEY || 'dev-admin-key-change-in-production';
+    const admin = await adminAuth.authenticate(request);
+    if (!admin) {
+      return reply.code(401).send({ error: 'Unauthorized' });
+    }
 
-    if (apiKey !== validKey) {
-      reply.code(401).send({ error: 'Unauthorized' });
+    const { permission } = request.routeOptions.config;
+    if (!adminAuth.can(admin, permission)) {
+      return reply.code(403).send({ error: 'Forbidden', permission: permission || null });
     }
+
+    request.admin = admin;
   });
 
+  // Auto-response rules (/admin/rules) - inherits the auth hook above
+  await fastify.register(ruleRoutes, { prefix: '/rules', postgres, ruleEngine, auditLog, batchJobs });
+
+  // Admin users and their API keys (/admin/users)
+  await fastify.register(userRoutes, { prefix: '/users', postgres, adminAuth, auditLog });
+
+  // Rate-limit bans and bucket overrides (/admin/bans)
+  await fastify.register(banRoutes, {
+    prefix: '/bans',
+    postgres,
+    auditLog,
+    getRateLimiter: () => getWs()?.rateLimiter
+  });
+
+  // Audit log search and chain verification (/admin/audit)
+  await fastify.register(auditRoutes, { prefix: '/audit', auditLog });
+
   /**
    * GET /admin/sessions - List active sessions
    */
-  fastify.get('/sessions', async (request, reply) => {
+  fastify.get('/sessions', { config: { permission: 'sessions:read' } }, async (request, reply) => {
     try {
       const minutesAgo = parseInt(request.query.minutes) || 5;
       const sessions = await postgres.getActiveSessions(minutesAgo);
@@ -434,7 +495,7 @@ async function adminRoutes(fastify, options) {
   /**
    * GET /admin/sessions/:sessionHash - Get session details
    */
-  fastify.get('/sessions/:sessionHash', async (request, reply) => {
+  fastify.get('/sessions/:sessionHash', { config: { permission: 'sessions:read' } }, async (request, reply) => {
     try {
       const { sessionHash } = request.params;
       
@@ -449,6 +510,13 @@ async function adminRoutes(fastify, options) {
       return {
         success: true,
         session,
+        risk: {
+          score: Number(session.risk_score),
+          isBot: session.is_bot,
+          scoredAt: session.risk_scored_at,
+          breakdown: session.risk_breakdown || []
+        },
+        consistency: session.consistency_checks || [],
         timeline,
         commands
       };
@@ -460,12 +528,13 @@ async function adminRoutes(fastify, options) {
   /**
    * POST /admin/sessions/:sessionHash/upspin - Set priority mode
    */
-  fastify.post('/sessions/:sessionHash/upspin', async (request, reply) => {
+  fastify.post('/sessions/:sessionHash/upspin', { config: { permission: 'sessions:command' } }, async (request, reply) => {
     try {
       const { sessionHash } = request.params;
       
       // Update database
-      await postgres.updateSessionMode(sessionHash, 'upspin', 0);
+      const before = await postgres.getSession(sessionHash);
+      const after = await postgres.updateSessionMode(sessionHash, 'upspin', 0);
 
       // Send command to client
       const command = {
@@ -474,23 +543,18 @@ async function adminRoutes(fastify, options) {
         payload: { latency_ms: 0 }
       };
 
-      await redis.publish('traffic:commands', { sessionHash, command });
-
-      // Log command
-      await postgres.logCommand({
-        commandId: command.id,
-        sessionHash,
-        commandType: 'SET_LATENCY',
-        commandPayload: command.payload,
-        adminId: request.headers['x-admin-id'] || 'api',
-        adminIp: request.ip
+      // Queue, log and deliver (retried until acknowledged)
+      const delivery = await commandDelivery.dispatch(sessionHash, command, deliveryOptions(request));
+      await auditCommand(request, 'upspin', {
+        sessionHash, command, delivery, before: modeState(before), after: modeState(after)
       });
 
       return {
         success: true,
         message: 'Priority mode activated',
         sessionHash,
-        command
+        command,
+        delivery: delivery.status
       };
     } catch (error) {
       reply.code(500).send({ error: error.message });
@@ -500,31 +564,26 @@ async function adminRoutes(fastify, options) {
   /**
    * POST /admin/sessions/:sessionHash/downspin - Set throttle mode
    */
-  fastify.post('/sessions/:sessionHash/downspin', async (request, reply) => {
+  fastify.post('/sessions/:sessionHash/downspin', { config: { permission: 'sessions:command' } }, async (request, reply) => {
     try {
       const { sessionHash } = request.params;
       const { latency_ms = 2000 } = request.body || {};
 
       // Update database
-      await postgres.updateSessionMode(sessionHash, 'downspin', latency_ms);
+      const before = await postgres.getSession(sessionHash);
+      const after = await postgres.updateSessionMode(sessionHash, 'downspin', latency_ms);
 
-      // Send command to client
+      // Send command to client (jitter, bandwidth and URL patterns are optional)
       const command = {
         id: uuidv4(),
         type: 'SET_LATENCY',
-        payload: { latency_ms }
+        payload: { latency_ms, ...shapingOptions(request.body) }
       };
 
-      await redis.publish('traffic:commands', { sessionHash, command });
-
-      // Log command
-      await postgres.logCommand({
-        commandId: command.id,
-        sessionHash,
-        commandType: 'SET_LATENCY',
-        commandPayload: command.payload,
-        adminId: request.headers['x-admin-id'] || 'api',
-        adminIp: request.ip
+      // Queue, log and deliver (retried until acknowledged)
+      const delivery = await commandDelivery.dispatch(sessionHash, command, deliveryOptions(request));
+      await auditCommand(request, 'downspin', {
+        sessionHash, command, delivery, before: modeState(before), after: modeState(after)
       });
 
       return {
@@ -532,7 +591,8 @@ async function adminRoutes(fastify, options) {
         message: 'Throttle mode activated',
         sessionHash,
         latency_ms,
-        command
+        command,
+        delivery: delivery.status
       };
     } catch (error) {
       reply.code(500).send({ error: error.message });
@@ -542,13 +602,14 @@ async function adminRoutes(fastify, options) {
   /**
    * POST /admin/sessions/:sessionHash/terminate - Terminate session
    */
-  fastify.post('/sessions/:sessionHash/terminate', async (request, reply) => {
+  fastify.post('/sessions/:sessionHash/terminate', { config: { permission: 'sessions:command' } }, async (request, reply) => {
     try {
       const { sessionHash } = request.params;
       const { reason = 'Session terminated by administrator' } = request.body || {};
 
       // Update database
-      await postgres.updateSessionMode(sessionHash, 'terminated', 0);
+      const before = await postgres.getSession(sessionHash);
+      const after = await postgres.updateSessionMode(sessionHash, 'terminated', 0);
 
       // Send command to client
       const command = {
@@ -557,16 +618,10 @@ async function adminRoutes(fastify, options) {
         payload: { reason }
       };
 
-      await redis.publish('traffic:commands', { sessionHash, command });
-
-      // Log command
-      await postgres.logCommand({
-        commandId: command.id,
-        sessionHash,
-        commandType: 'TERMINATE',
-        commandPayload: command.payload,
-        adminId: request.headers['x-admin-id'] || 'api',
-        adminIp: request.ip
+      // Queue, log and deliver (retried until acknowledged)
+      const delivery = await commandDelivery.dispatch(sessionHash, command, deliveryOptions(request));
+      await auditCommand(request, 'terminate', {
+        sessionHash, command, delivery, before: modeState(before), after: modeState(after)
       });
 
       return {
@@ -574,7 +629,8 @@ async function adminRoutes(fastify, options) {
         message: 'Session terminated',
         sessionHash,
         reason,
-        command
+        command,
+        delivery: delivery.status
       };
     } catch (error) {
       reply.code(500).send({ error: error.message });
@@ -584,7 +640,7 @@ async function adminRoutes(fastify, options) {
   /**
    * POST /admin/sessions/:sessionHash/notify - Send toast notification
    */
-  fastify.post('/sessions/:sessionHash/notify', async (request, reply) => {
+  fastify.post('/sessions/:sessionHash/notify', { config: { permission: 'sessions:command' } }, async (request, reply) => {
     try {
       const { sessionHash } = request.params;
       const { message, type = 'info', duration = 5000 } = request.body || {};
@@ -600,23 +656,16 @@ async function adminRoutes(fastify, options) {
         payload: { message, type, duration }
       };
 
-      await redis.publish('traffic:commands', { sessionHash, command });
-
-      // Log command
-      await postgres.logCommand({
-        commandId: command.id,
-        sessionHash,
-        commandType: 'TOAST_ALERT',
-        commandPayload: command.payload,
-        adminId: request.headers['x-admin-id'] || 'api',
-        adminIp: request.ip
-      });
+      // Queue, log and deliver (retried until acknowledged)
+      const delivery = await commandDelivery.dispatch(sessionHash, command, deliveryOptions(request));
+      await auditCommand(request, 'notify', { sessionHash, command, delivery });
 
       return {
         success: true,
         message: 'Notification sent',
         sessionHash,
-        command
+        command,
+        delivery: delivery.status
       };
     } catch (error) {
       reply.code(500).send({ error: error.message });
@@ -626,7 +675,7 @@ async function adminRoutes(fastify, options) {
   /**
    * POST /admin/sessions/:sessionHash/redirect - Redirect session
    */
-  fastify.post('/sessions/:sessionHash/redirect', async (request, reply) => {
+  fastify.post('/sessions/:sessionHash/redirect', { config: { permission: 'sessions:command' } }, async (request, reply) => {
     try {
       const { sessionHash } = request.params;
       const { url, newTab = false } = request.body || {};
@@ -642,24 +691,17 @@ async function adminRoutes(fastify, options) {
         payload: { url, newTab }
       };
 
-      await redis.publish('traffic:commands', { sessionHash, command });
-
-      // Log command
-      await postgres.logCommand({
-        commandId: command.id,
-        sessionHash,
-        commandType: 'REDIRECT',
-        commandPayload: command.payload,
-        adminId: request.headers['x-admin-id'] || 'api',
-        adminIp: request.ip
-      });
+      // Queue, log and deliver (retried until acknowledged)
+      const delivery = await commandDelivery.dispatch(sessionHash, command, deliveryOptions(request));
+      await auditCommand(request, 'redirect', { sessionHash, command, delivery });
 
       return {
         success: true,
         message: 'Redirect command sent',
         sessionHash,
         url,
-        command
+        command,
+        delivery: delivery.status
       };
     } catch (error) {
       reply.code(500).send({ error: error.message });
@@ -669,14 +711,15 @@ async function adminRoutes(fastify, options) {
   /**
    * GET /admin/analytics - Get analytics summary
    */
-  fastify.get('/analytics', async (request, reply) => {
+  fastify.get('/analytics', { config: { permission: 'analytics:read' } }, async (request, reply) => {
     try {
       const hours = parseInt(request.query.hours) || 24;
       
-      const [summary, geoDistribution, botCandidates, dbStats] = await Promise.all([
+      const [summary, geoDistribution, botCandidates, frustration, dbStats] = await Promise.all([
         clickhouse.getAnalyticsSummary(hours),
         clickhouse.getGeographicDistribution(hours),
         clickhouse.getBotCandidates(1),
+        clickhouse.getFrustrationByPage(hours),
         postgres.getDashboardStats()
       ]);
 
@@ -685,6 +728,7 @@ async function adminRoutes(fastify, options) {
         summary,
         geoDistribution,
         botCandidates,
+        frustration,
         dbStats
       };
     } catch (error) {
@@ -692,18 +736,245 @@ async function adminRoutes(fastify, options) {
     }
   });
 
+  /**
+   * GET /admin/pages - Top pages and navigation flows from page_view events
+   */
+  fastify.get('/pages', { config: { permission: 'analytics:read' } }, async (request, reply) => {
+    try {
+      const hours = parseInt(request.query.hours) || 24;
+      const limit = parseInt(request.query.limit) || 20;
+
+      const [topPages, flows] = await Promise.all([
+        clickhouse.getTopPages(hours, limit),
+        clickhouse.getNavigationFlows(hours, limit)
+      ]);
+
+      return {
+        success: true,
+        topPages,
+        flows
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /admin/performance - Web vital p50/p75/p95 per page, country or network type
+   */
+  fastify.get('/performance', { config: { permission: 'analytics:read' } }, async (request, reply) => {
+    try {
+      const hours = parseInt(request.query.hours) || 24;
+      const groupBy = request.query.group_by || 'page';
+
+      if (!['page', 'country', 'network_type'].includes(groupBy)) {
+        return reply.code(400).send({ error: 'group_by must be page, country or network_type' });
+      }
+
+      const metrics = await clickhouse.getPerformancePercentiles(hours, groupBy);
+
+      return {
+        success: true,
+        groupBy,
+        metrics
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /admin/errors - SDK errors grouped by fingerprint
+   */
+  fastify.get('/errors', { config: { permission: 'analytics:read' } }, async (request, reply) => {
+    try {
+      const hours = parseInt(request.query.hours) || 24;
+      const limit = parseInt(request.query.limit) || 50;
+
+      const errors = await clickhouse.getErrorGroups(hours, limit);
+
+      return {
+        success: true,
+        errors
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /admin/errors/:fingerprint - Reports of one error with their sessions
+   */
+  fastify.get('/errors/:fingerprint', { config: { permission: 'analytics:read' } }, async (request, reply) => {
+    try {
+      const { fingerprint } = request.params;
+      const hours = parseInt(request.query.hours) || 24;
+      const limit = parseInt(request.query.limit) || 100;
+
+      if (!/^[a-f0-9]{8}$/.test(fingerprint)) {
+        return reply.code(400).send({ error: 'Invalid fingerprint' });
+      }
+
+      const occurrences = await clickhouse.getErrorOccurrences(fingerprint, hours, limit);
+
+      return {
+        success: true,
+        fingerprint,
+        occurrences
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /admin/funnels - Sessions reaching each step of an ordered funnel
+   * Body: { steps: [{ event_type?, page_url?, event?, name? }], window_seconds, hours, breakdown }
+   */
+  fastify.post('/funnels', { config: { permission: 'analytics:read' } }, async (request, reply) => {
+    try {
+      const { steps, window_seconds = 3600, hours = 24, breakdown = 'none' } = request.body || {};
+
+      const errors = clickhouse.validateFunnel(steps, breakdown);
+      if (errors.length > 0) {
+        return reply.code(400).send({ error: 'Invalid funnel', details: errors });
+      }
+
+      const funnel = await clickhouse.getFunnel({
+        steps,
+        windowSeconds: parseInt(window_seconds) || 3600,
+        hours: parseInt(hours) || 24,
+        breakdown
+      });
+
+      return {
+        success: true,
+        breakdown,
+        ...funnel
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /admin/cohorts - Return rates of fingerprints by first-seen day or week
+   */
+  fastify.get('/cohorts', { config: { permission: 'analytics:read' } }, async (request, reply) => {
+    try {
+      const { period = 'week', country, shaping } = request.query;
+
+      if (!['day', 'week'].includes(period)) {
+        return reply.code(400).send({ error: 'period must be day or week' });
+      }
+      if (country && !/^[A-Za-z]{2}$/.test(country)) {
+        return reply.code(400).send({ error: 'country must be a two-letter code' });
+      }
+      if (shaping && !['throttled', 'upspun', 'unshaped'].includes(shaping)) {
+        return reply.code(400).send({ error: 'shaping must be throttled, upspun or unshaped' });
+      }
+
+      const cohorts = await clickhouse.getRetention({
+        period,
+        cohorts: parseInt(request.query.cohorts) || 8,
+        periods: parseInt(request.query.periods) || 8,
+        country: country ? country.toUpperCase() : null,
+        shaping: shaping || null
+      });
+
+      return {
+        success: true,
+        period,
+        cohorts
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /admin/paths?start=|end= - Top page sequences from or to a page, as Sankey nodes and links
+   */
+  fastify.get('/paths', { config: { permission: 'analytics:read' } }, async (request, reply) => {
+    try {
+      const { start, end } = request.query;
+
+      if (!start === !end) {
+        return reply.code(400).send({ error: 'Exactly one of start or end is required' });
+      }
+
+      const path = pagePath(start || end);
+      const result = await clickhouse.getPaths({
+        path,
+        direction: start ? 'start' : 'end',
+        depth: parseInt(request.query.depth) || 4,
+        limit: parseInt(request.query.limit) || 20,
+        hours: parseInt(request.query.hours) || 24
+      });
+
+      return {
+        success: true,
+        [start ? 'start' : 'end']: path,
+        ...result
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /admin/heatmaps?page_url= - Binned click density and top selectors for a page
+   */
+  fastify.get('/heatmaps', { config: { permission: 'analytics:read' } }, async (request, reply) => {
+    try {
+      const { page_url, from, to, bins_x, bin_size } = request.query;
+
+      if (!page_url) {
+        return reply.code(400).send({ error: 'page_url is required' });
+      }
+
+      const path = pagePath(page_url);
+
+      const end = to ? new Date(to) : new Date();
+      const start = from ? new Date(from) : new Date(end.getTime() - 24 * 60 * 60 * 1000);
+      if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+        return reply.code(400).send({ error: 'from and to must be dates with from before to' });
+      }
+
+      const heatmap = await clickhouse.getClickHeatmap({
+        path,
+        from: start,
+        to: end,
+        binsX: parseInt(bins_x) || 20,
+        binSize: parseInt(bin_size) || 50
+      });
+
+      return {
+        success: true,
+        path,
+        from: start.toISOString(),
+        to: end.toISOString(),
+        ...heatmap
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
   /**
    * GET /admin/stats - Get server statistics
    */
-  fastify.get('/stats', async (request, reply) => {
+  fastify.get('/stats', { config: { permission: 'analytics:read' } }, async (request, reply) => {
     try {
       const ws = getWs();
       const wsStats = ws ? ws.getStats() : { error: 'WebSocket not initialized' };
+      const clusterStats = ws ? await ws.getClusterStats() : null;
       const onlineSessions = await redis.getOnlineSessions();
 
       return {
         success: true,
         websocket: wsStats,
+        cluster: clusterStats,
         online: onlineSessions.length,
         timestamp: new Date()
       };
@@ -715,7 +986,7 @@ async function adminRoutes(fastify, options) {
   /**
    * GET /admin/high-risk - Get high-risk sessions
    */
-  fastify.get('/high-risk', async (request, reply) => {
+  fastify.get('/high-risk', { config: { permission: 'sessions:read' } }, async (request, reply) => {
     try {
       const sessions = await postgres.getHighRiskSessions();
       
@@ -730,48 +1001,103 @@ async function adminRoutes(fastify, options) {
   });
 
   /**
-   * POST /admin/batch-action - Execute batch action on multiple sessions
+   * POST /admin/batch-action - Run an action on every session matching a filter
+   * Body: { action, payload?, filter | sessionHashes, preview?, expected_count?, concurrency? }
+   * action is upspin/downspin/terminate or any command type (payload holds its
+   * parameters); with preview: true only the match count is returned.
    */
-  fastify.post('/batch-action', async (request, reply) => {
+  fastify.post('/batch-action', { config: { permission: 'sessions:command' } }, async (request, reply) => {
     try {
-      const { action, sessionHashes, payload = {} } = request.body || {};
+      const { action, payload = {}, filter, sessionHashes, preview = false, expected_count, concurrency } = request.body || {};
+
+      const spec = typeof action === 'string' ? { ...payload, type: action } : action;
+      const target = filter || (Array.isArray(sessionHashes) ? { session_hashes: sessionHashes } : null);
 
-      if (!action || !Array.isArray(sessionHashes)) {
-        return reply.code(400).send({ error: 'Invalid request' });
+      const { errors, filters } = batchJobs.parseFilter(target);
+      errors.push(...batchJobs.validateAction(spec));
+      if (errors.length > 0) {
+        return reply.code(400).send({ error: 'Invalid batch action', details: errors });
       }
 
-      const results = [];
+      const { count, sample } = await batchJobs.preview(filters);
 
-      for (const sessionHash of sessionHashes) {
-        let command;
-        
-        switch (action) {
-          case 'upspin':
-            await postgres.updateSessionMode(sessionHash, 'upspin', 0);
-            command = { type: 'SET_LATENCY', payload: { latency_ms: 0 } };
-            break;
-          case 'downspin':
-            await postgres.updateSessionMode(sessionHash, 'downspin', payload.latency_ms || 2000);
-            command = { type: 'SET_LATENCY', payload: { latency_ms: payload.latency_ms || 2000 } };
-            break;
-          case 'terminate':
-            await postgres.updateSessionMode(sessionHash, 'terminated', 0);
-            command = { type: 'TERMINATE', payload: { reason: payload.reason || 'Batch termination' } };
-            break;
-          default:
-            continue;
-        }
-
-        command.id = uuidv4();
-        await redis.publish('traffic:commands', { sessionHash, command });
-        results.push({ sessionHash, command });
+      if (preview) {
+        return {
+          success: true,
+          preview: true,
+          count,
+          sample
+        };
+      }
+
+      const { maxSessions } = batchJobs.options;
+      if (count > maxSessions) {
+        return reply.code(400).send({
+          error: `Filter matches ${count} sessions; a batch can target at most ${maxSessions}`,
+          count
+        });
+      }
+      // Guard against the matching set changing between preview and execution
+      if (expected_count !== undefined && Number(expected_count) !== count) {
+        return reply.code(409).send({ error: 'Matching sessions changed since the preview', count });
+      }
+
+      const meta = deliveryOptions(request);
+      const { job, sessions } = await batchJobs.create({ filters, action: spec, meta });
+
+      // The start is on record before anything is dispatched
+      await auditLog.record(request, {
+        action: 'batch.start',
+        targetType: 'batch',
+        target: job.jobId,
+        sessionHashes: sessions.map(session => session.session_hash),
+        details: { filter: target, action: spec, total: job.total }
+      });
+
+      batchJobs.run(job, sessions, concurrency, meta)
+        .then(finished => {
+          const changed = finished.results.filter(result => result.mode);
+
+          return auditLog.record(request, {
+            action: `batch.${spec.type}`,
+            targetType: 'batch',
+            target: finished.jobId,
+            sessionHashes: finished.results.map(result => result.sessionHash),
+            before: Object.fromEntries(changed.map(result => [result.sessionHash, { mode: result.previousMode }])),
+            after: Object.fromEntries(changed.map(result => [result.sessionHash, { mode: result.mode }])),
+            details: { filter: target, action: spec, status: finished.status, counts: finished.counts }
+          });
+        })
+        .catch(error => {
+          console.error(`[Admin] Batch job ${job.jobId} did not finish:`, error.message);
+        });
+
+      return reply.code(202).send({
+        success: true,
+        message: `Batch action ${spec.type} started`,
+        jobId: job.jobId,
+        status: job.status,
+        total: job.total,
+        poll: `/admin/batch-action/${job.jobId}`
+      });
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /admin/batch-action/:jobId - Batch job status and per-session outcomes
+   */
+  fastify.get('/batch-action/:jobId', { config: { permission: 'sessions:read' } }, async (request, reply) => {
+    try {
+      const job = await batchJobs.get(request.params.jobId);
+      if (!job) {
+        return reply.code(404).send({ error: 'Batch job not found' });
       }
 
       return {
         success: true,
-        message: `Batch action ${action} executed`,
-        affected: results.length,
-        results
+        job
       };
     } catch (error) {
       reply.code(500).send({ error: error.message });
@@ -0,0 +1,65 @@
+/**
+ * Audit Log Routes
+ * Search the admin audit log and verify its hash chain (mounted under /admin/audit)
+ */
+
+async function auditRoutes(fastify, options) {
+  const { auditLog } = options;
+
+  /**
+   * GET /admin/audit - Audit entries, newest first
+   * Query: actor, session, action (exact, or a prefix such as "rule"), from, to,
+   * limit, before (audit_id of the last entry of the previous page)
+   */
+  fastify.get('/', { config: { permission: 'audit:read' } }, async (request, reply) => {
+    try {
+      const { actor, session, action, from, to, before } = request.query;
+
+      const start = from ? new Date(from) : null;
+      const end = to ? new Date(to) : null;
+      if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+        return reply.code(400).send({ error: 'from and to must be dates' });
+      }
+      if (before !== undefined && !/^\d+$/.test(before)) {
+        return reply.code(400).send({ error: 'before must be an audit_id' });
+      }
+
+      const entries = await auditLog.search({
+        actor,
+        session,
+        action,
+        from: start,
+        to: end,
+        before: before !== undefined ? before : null,
+        limit: Math.min(parseInt(request.query.limit) || 100, 1000)
+      });
+
+      return {
+        success: true,
+        count: entries.length,
+        nextBefore: entries.length > 0 ? entries[entries.length - 1].audit_id : null,
+        entries
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /admin/audit/verify - Recompute the hash chain from the first entry
+   */
+  fastify.get('/verify', { config: { permission: 'audit:read' } }, async (request, reply) => {
+    try {
+      const result = await auditLog.verify();
+
+      return {
+        success: true,
+        ...result
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+}
+
+module.exports = auditRoutes;
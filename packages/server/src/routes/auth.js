@@ -0,0 +1,95 @@
+/**
+ * Admin Login Routes
+ * Password login, token refresh and logout for the dashboard (mounted under /admin/auth)
+ * Registered outside the admin routes so these do not need a credential themselves
+ */
+
+async function authRoutes(fastify, options) {
+  const { adminAuth } = options;
+
+  // Slow down password guessing. Dashboard logins all arrive from the Next.js
+  // server's IP, so attempts are counted per account (or per refresh token)
+  // instead; the body is parsed by preHandler, where the limit runs.
+  const bodyRateLimit = (field) => ({
+    rateLimit: {
+      max: 10,
+      timeWindow: '1 minute',
+      hook: 'preHandler',
+      keyGenerator: (request) => `${field}:${String((request.body || {})[field] || '').toLowerCase()}`
+    }
+  });
+
+  /**
+   * POST /admin/auth/login - Exchange username and password for tokens
+   * Body: { username, password }
+   */
+  fastify.post('/login', { config: bodyRateLimit('username') }, async (request, reply) => {
+    try {
+      const { username, password } = request.body || {};
+
+      if (typeof username !== 'string' || typeof password !== 'string') {
+        return reply.code(400).send({ error: 'username and password are required' });
+      }
+
+      const tokens = await adminAuth.login(username, password);
+      if (!tokens) {
+        return reply.code(401).send({ error: 'Invalid username or password' });
+      }
+
+      return {
+        success: true,
+        tokenType: 'Bearer',
+        ...tokens
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /admin/auth/refresh - Exchange a refresh token for new tokens (the old one is used up)
+   * Body: { refreshToken }
+   */
+  fastify.post('/refresh', { config: bodyRateLimit('refreshToken') }, async (request, reply) => {
+    try {
+      const { refreshToken } = request.body || {};
+
+      if (!refreshToken) {
+        return reply.code(400).send({ error: 'refreshToken is required' });
+      }
+
+      const tokens = await adminAuth.refresh(refreshToken);
+      if (!tokens) {
+        return reply.code(401).send({ error: 'Invalid or expired refresh token' });
+      }
+
+      return {
+        success: true,
+        tokenType: 'Bearer',
+        ...tokens
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /admin/auth/logout - Revoke a refresh token
+   * Body: { refreshToken }
+   */
+  fastify.post('/logout', async (request, reply) => {
+    try {
+      const { refreshToken } = request.body || {};
+
+      if (refreshToken) {
+        await adminAuth.logout(refreshToken);
+      }
+
+      return { success: true };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+}
+
+module.exports = authRoutes;
@@ -0,0 +1,268 @@
+/**
+ * Rate-Limit Ban Routes
+ * List, add and lift bans and per-session bucket overrides (mounted under /admin/bans)
+ * Every change is recorded in rate_limit_actions and the audit log before it is applied
+ */
+
+const net = require('net');
+
+// rate_limit_actions action -> audit log action
+const AUDIT_ACTIONS = {
+  ban: 'ban.create',
+  unban: 'ban.delete',
+  set_override: 'override.set',
+  clear_override: 'override.clear'
+};
+
+async function banRoutes(fastify, options) {
+  const { postgres, auditLog, getRateLimiter } = options;
+
+  // The limiter belongs to the WebSocket server, which starts after the routes
+  fastify.addHook('preHandler', async (request, reply) => {
+    request.rateLimiter = getRateLimiter();
+    if (!request.rateLimiter) {
+      reply.code(503).send({ error: 'Rate limiter not initialized' });
+    }
+  });
+
+  const audit = async (request, entry, { before = null, after = null } = {}) => {
+    await postgres.logRateLimitAction({
+      ...entry,
+      adminId: request.admin.username,
+      adminIp: request.ip
+    });
+    await auditLog.record(request, {
+      action: AUDIT_ACTIONS[entry.action],
+      targetType: entry.targetType,
+      target: entry.target,
+      sessionHashes: entry.targetType === 'session' ? [entry.target] : [],
+      before,
+      after,
+      details: { reason: entry.reason || null, params: entry.params || {} }
+    });
+  };
+
+  const currentBan = async (rateLimiter, target) =>
+    (await rateLimiter.listBans()).find(ban => ban.id === target) || null;
+
+  const targetType = (target, type) => type || (net.isIP(target) ? 'ip' : 'session');
+
+  /**
+   * GET /admin/bans - List active bans with time remaining
+   */
+  fastify.get('/', { config: { permission: 'bans:read' } }, async (request, reply) => {
+    try {
+      const bans = await request.rateLimiter.listBans();
+
+      return {
+        success: true,
+        backend: request.rateLimiter.getStats().backend,
+        count: bans.length,
+        bans
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /admin/bans/history - Recent ban/override actions
+   */
+  fastify.get('/history', { config: { permission: 'bans:read' } }, async (request, reply) => {
+    try {
+      const limit = Math.min(parseInt(request.query.limit) || 100, 1000);
+      const actions = await postgres.getRateLimitActions(request.query.target || null, limit);
+
+      return {
+        success: true,
+        count: actions.length,
+        actions
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /admin/bans - Ban a session or IP
+   * Body: { target, type?: 'session' | 'ip', duration_ms?, reason }
+   */
+  fastify.post('/', { config: { permission: 'bans:write' } }, async (request, reply) => {
+    try {
+      const { target, type, reason, duration_ms } = request.body || {};
+      const duration = duration_ms === undefined
+        ? request.rateLimiter.options.banDuration
+        : parseInt(duration_ms, 10);
+
+      if (!target || typeof target !== 'string') {
+        return reply.code(400).send({ error: 'target is required' });
+      }
+      if (type && !['session', 'ip'].includes(type)) {
+        return reply.code(400).send({ error: 'type must be session or ip' });
+      }
+      if (!reason) {
+        return reply.code(400).send({ error: 'reason is required' });
+      }
+      if (!(duration > 0)) {
+        return reply.code(400).send({ error: 'duration_ms must be a positive number' });
+      }
+
+      const resolvedType = targetType(target, type);
+      const adminId = request.admin.username;
+
+      await audit(request, {
+        action: 'ban',
+        targetType: resolvedType,
+        target,
+        reason,
+        params: { duration_ms: duration }
+      }, {
+        before: await currentBan(request.rateLimiter, target),
+        after: { type: resolvedType, durationMs: duration, reason }
+      });
+      await request.rateLimiter.ban(target, duration, reason, {
+        type: resolvedType,
+        bannedBy: adminId
+      });
+
+      return reply.code(201).send({
+        success: true,
+        message: `Banned ${resolvedType} ${target}`,
+        target,
+        type: resolvedType,
+        durationMs: duration
+      });
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /admin/bans/overrides - List per-session bucket overrides
+   */
+  fastify.get('/overrides', { config: { permission: 'bans:read' } }, async (request, reply) => {
+    try {
+      const overrides = await request.rateLimiter.listOverrides();
+
+      return {
+        success: true,
+        defaults: {
+          capacity: request.rateLimiter.options.capacity,
+          refillRate: request.rateLimiter.options.refillRate
+        },
+        count: overrides.length,
+        overrides
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /admin/bans/overrides/:sessionHash - Set custom bucket limits
+   * Body: { capacity?, refill_rate?, reason }
+   */
+  fastify.put('/overrides/:sessionHash', { config: { permission: 'bans:write' } }, async (request, reply) => {
+    try {
+      const { sessionHash } = request.params;
+      const { capacity, refill_rate, reason } = request.body || {};
+
+      const override = {};
+      if (capacity !== undefined) override.capacity = parseInt(capacity, 10);
+      if (refill_rate !== undefined) override.refillRate = parseInt(refill_rate, 10);
+
+      if (Object.keys(override).length === 0) {
+        return reply.code(400).send({ error: 'capacity or refill_rate is required' });
+      }
+      if (Object.values(override).some(value => !(value > 0))) {
+        return reply.code(400).send({ error: 'capacity and refill_rate must be positive integers' });
+      }
+
+      await audit(request, {
+        action: 'set_override',
+        targetType: 'session',
+        target: sessionHash,
+        reason,
+        params: override
+      }, {
+        before: await request.rateLimiter.getOverride(sessionHash),
+        after: override
+      });
+      await request.rateLimiter.setOverride(sessionHash, {
+        ...override,
+        setBy: request.admin.username
+      });
+
+      return {
+        success: true,
+        message: 'Bucket override set',
+        sessionHash,
+        override
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /admin/bans/overrides/:sessionHash - Restore default bucket limits
+   */
+  fastify.delete('/overrides/:sessionHash', { config: { permission: 'bans:write' } }, async (request, reply) => {
+    try {
+      const { sessionHash } = request.params;
+
+      const existing = await request.rateLimiter.getOverride(sessionHash);
+      if (!existing) {
+        return reply.code(404).send({ error: 'Override not found' });
+      }
+
+      await audit(request, {
+        action: 'clear_override',
+        targetType: 'session',
+        target: sessionHash,
+        reason: (request.body || {}).reason
+      }, { before: existing });
+      await request.rateLimiter.clearOverride(sessionHash);
+
+      return {
+        success: true,
+        message: 'Bucket override removed',
+        sessionHash
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /admin/bans/:target - Lift a ban on a session or IP
+   * Body: { reason }
+   */
+  fastify.delete('/:target', { config: { permission: 'bans:write' } }, async (request, reply) => {
+    try {
+      const { target } = request.params;
+
+      if (!(await request.rateLimiter.isBanned(target))) {
+        return reply.code(404).send({ error: 'No active ban for target' });
+      }
+
+      await audit(request, {
+        action: 'unban',
+        targetType: targetType(target),
+        target,
+        reason: (request.body || {}).reason
+      }, { before: await currentBan(request.rateLimiter, target) });
+      await request.rateLimiter.unban(target);
+
+      return {
+        success: true,
+        message: `Unbanned ${target}`,
+        target
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+}
+
+module.exports = banRoutes;
@@ -0,0 +1,191 @@
+/**
+ * Auto-Response Rule Routes
+ * CRUD and dry-run for declarative session rules (mounted under /admin/rules)
+ */
+
+// Most sessions a dry run loads and evaluates
+const DRY_RUN_MAX_SESSIONS = 1000;
+
+async function ruleRoutes(fastify, options) {
+  const { postgres, ruleEngine, auditLog, batchJobs } = options;
+
+  /**
+   * GET /admin/rules - List rules
+   */
+  fastify.get('/', { config: { permission: 'rules:read' } }, async (request, reply) => {
+    try {
+      const rules = await postgres.listRules();
+
+      return {
+        success: true,
+        count: rules.length,
+        rules
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /admin/rules/dry-run - Report which sessions a rule would match
+   * Body: { rule } for an unsaved rule or { ruleId }, plus an optional session
+   * filter (as for /admin/batch-action) and limit (default 100, at most 1000)
+   */
+  fastify.post('/dry-run', { config: { permission: 'rules:read' } }, async (request, reply) => {
+    try {
+      const { rule: draft, ruleId, filter, limit, trigger = 'batch' } = request.body || {};
+
+      const { errors: filterErrors, filters } = filter === undefined
+        ? { errors: [], filters: {} }
+        : batchJobs.parseFilter(filter);
+      if (filterErrors.length > 0) {
+        return reply.code(400).send({ error: 'Invalid filter', details: filterErrors });
+      }
+
+      const rule = ruleId ? await postgres.getRule(ruleId) : draft;
+      if (!rule) {
+        return reply.code(404).send({ error: 'Rule not found' });
+      }
+
+      const errors = ruleEngine.validate(rule);
+      if (errors.length > 0) {
+        return reply.code(400).send({ error: 'Invalid rule', details: errors });
+      }
+
+      const sessions = await postgres.searchSessions({
+        ...filters,
+        limit: Math.min(Math.max(parseInt(limit, 10) || 100, 1), DRY_RUN_MAX_SESSIONS)
+      });
+      const matches = ruleEngine.dryRun(rule, sessions, trigger);
+
+      return {
+        success: true,
+        evaluated: sessions.length,
+        matched: matches.length,
+        matches
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /admin/rules/:ruleId - Get rule with recent matches
+   */
+  fastify.get('/:ruleId', { config: { permission: 'rules:read' } }, async (request, reply) => {
+    try {
+      const rule = await postgres.getRule(request.params.ruleId);
+      if (!rule) {
+        return reply.code(404).send({ error: 'Rule not found' });
+      }
+
+      const matches = await postgres.getRuleMatches(rule.rule_id);
+
+      return {
+        success: true,
+        rule,
+        matches
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /admin/rules - Create rule
+   */
+  fastify.post('/', { config: { permission: 'rules:write' } }, async (request, reply) => {
+    try {
+      const body = request.body || {};
+
+      const errors = ruleEngine.validate(body);
+      if (errors.length > 0) {
+        return reply.code(400).send({ error: 'Invalid rule', details: errors });
+      }
+
+      const rule = await postgres.createRule({
+        ...body,
+        created_by: request.admin.username
+      });
+      await ruleEngine.notifyChanged();
+      await auditLog.record(request, {
+        action: 'rule.create',
+        targetType: 'rule',
+        target: rule.rule_id,
+        after: rule
+      });
+
+      return reply.code(201).send({
+        success: true,
+        rule
+      });
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /admin/rules/:ruleId - Update rule
+   */
+  fastify.put('/:ruleId', { config: { permission: 'rules:write' } }, async (request, reply) => {
+    try {
+      const existing = await postgres.getRule(request.params.ruleId);
+      if (!existing) {
+        return reply.code(404).send({ error: 'Rule not found' });
+      }
+
+      const changes = request.body || {};
+      const errors = ruleEngine.validate({ ...existing, ...changes });
+      if (errors.length > 0) {
+        return reply.code(400).send({ error: 'Invalid rule', details: errors });
+      }
+
+      const rule = await postgres.updateRule(existing.rule_id, changes);
+      await ruleEngine.notifyChanged();
+      await auditLog.record(request, {
+        action: 'rule.update',
+        targetType: 'rule',
+        target: existing.rule_id,
+        before: existing,
+        after: rule
+      });
+
+      return {
+        success: true,
+        rule
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /admin/rules/:ruleId - Delete rule
+   */
+  fastify.delete('/:ruleId', { config: { permission: 'rules:write' } }, async (request, reply) => {
+    try {
+      const rule = await postgres.deleteRule(request.params.ruleId);
+      if (!rule) {
+        return reply.code(404).send({ error: 'Rule not found' });
+      }
+
+      await ruleEngine.notifyChanged();
+      await auditLog.record(request, {
+        action: 'rule.delete',
+        targetType: 'rule',
+        target: rule.rule_id,
+        before: rule
+      });
+
+      return {
+        success: true,
+        message: 'Rule deleted',
+        rule
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+}
+
+module.exports = ruleRoutes;
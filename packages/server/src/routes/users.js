@@ -0,0 +1,172 @@
+/**
+ * Admin User Routes
+ * Create admin users, change their role, and issue API keys (mounted under /admin/users)
+ * API keys are returned once, when issued; only their hashes are stored
+ */
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._@-]{1,100}$/;
+const MIN_PASSWORD_LENGTH = 12;
+const ADMIN_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function userRoutes(fastify, options) {
+  const { postgres, adminAuth, auditLog } = options;
+
+  const validate = ({ username, role, password, enabled }, creating) => {
+    const errors = [];
+
+    if (creating && !USERNAME_PATTERN.test(username || '')) {
+      errors.push('username must be 1-100 letters, digits or ._@-');
+    }
+    if ((creating || role !== undefined) && !adminAuth.isRole(role)) {
+      errors.push('role must be viewer, operator or admin');
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+      errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      errors.push('enabled must be a boolean');
+    }
+
+    return errors;
+  };
+
+  // admin_id is a UUID column; any other id matches no user (rather than a cast error)
+  const findUser = (adminId) => (ADMIN_ID_PATTERN.test(adminId) ? postgres.getAdminUser(adminId) : null);
+
+  /**
+   * GET /admin/users - List admin users
+   */
+  fastify.get('/', { config: { permission: 'users:manage' } }, async (request, reply) => {
+    try {
+      const users = await postgres.listAdminUsers();
+
+      return {
+        success: true,
+        count: users.length,
+        users
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /admin/users - Create user with an API key and/or a password
+   * Body: { username, role, password?, api_key?: true }
+   */
+  fastify.post('/', { config: { permission: 'users:manage' } }, async (request, reply) => {
+    try {
+      const body = request.body || {};
+      const { username, role, password, api_key: withApiKey = true } = body;
+
+      const errors = validate(body, true);
+      if (!withApiKey && password === undefined) {
+        errors.push('a user needs an API key or a password');
+      }
+      if (errors.length > 0) {
+        return reply.code(400).send({ error: 'Invalid user', details: errors });
+      }
+
+      const { apiKey, ...keyColumns } = withApiKey ? adminAuth.issueApiKey() : {};
+
+      const user = await postgres.createAdminUser({
+        username,
+        role,
+        ...keyColumns,
+        password_hash: password !== undefined ? await adminAuth.hashPassword(password) : null,
+        created_by: request.admin.username
+      });
+      await auditLog.record(request, {
+        action: 'user.create',
+        targetType: 'admin_user',
+        target: user.admin_id,
+        after: user
+      });
+
+      return reply.code(201).send({
+        success: true,
+        user,
+        apiKey: apiKey || null
+      });
+    } catch (error) {
+      // unique_violation
+      if (error.code === '23505') {
+        return reply.code(409).send({ error: 'Username already exists' });
+      }
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /admin/users/:adminId - Change role, enable/disable, or set password
+   */
+  fastify.put('/:adminId', { config: { permission: 'users:manage' } }, async (request, reply) => {
+    try {
+      const { role, enabled, password } = request.body || {};
+
+      const errors = validate({ role, enabled, password }, false);
+      if (errors.length > 0) {
+        return reply.code(400).send({ error: 'Invalid user', details: errors });
+      }
+
+      const existing = await findUser(request.params.adminId);
+      if (!existing) {
+        return reply.code(404).send({ error: 'User not found' });
+      }
+
+      const user = await postgres.updateAdminUser(existing.admin_id, {
+        role,
+        enabled,
+        password_hash: password !== undefined ? await adminAuth.hashPassword(password) : undefined
+      });
+      await auditLog.record(request, {
+        action: 'user.update',
+        targetType: 'admin_user',
+        target: user.admin_id,
+        before: existing,
+        after: user,
+        details: { passwordChanged: password !== undefined }
+      });
+
+      return {
+        success: true,
+        user
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /admin/users/:adminId/api-key - Issue a new API key (the old one stops working)
+   */
+  fastify.post('/:adminId/api-key', { config: { permission: 'users:manage' } }, async (request, reply) => {
+    try {
+      const existing = await findUser(request.params.adminId);
+      if (!existing) {
+        return reply.code(404).send({ error: 'User not found' });
+      }
+
+      const { apiKey, ...keyColumns } = adminAuth.issueApiKey();
+
+      const user = await postgres.updateAdminUser(existing.admin_id, keyColumns);
+      await auditLog.record(request, {
+        action: 'user.api_key',
+        targetType: 'admin_user',
+        target: user.admin_id,
+        before: { api_key_prefix: existing.api_key_prefix },
+        after: { api_key_prefix: user.api_key_prefix }
+      });
+
+      return {
+        success: true,
+        user,
+        apiKey
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+}
+
+module.exports = userRoutes;
@@ -0,0 +1,322 @@
+/**
+ * Admin Auth - Identities and role-based permissions for the admin API
+ * Admin users are stored in Postgres with one of three roles, each allowed
+ * everything the previous one is plus more: viewer < operator < admin.
+ *
+ * Requests authenticate with an API key (X-API-Key) or an access token
+ * (Bearer). Passwords are only accepted by POST /admin/auth/login, which
+ * rate-limits each username, in exchange for tokens. Keys are stored as
+ * SHA-256 hashes (they are random, so a fast hash is enough); passwords as
+ * salted scrypt hashes.
+ *
+ * Access tokens are short-lived HS256 JWTs carrying the user's id, name and
+ * role. Refresh tokens are random and kept (hashed) in Redis. Each is
+ * rotated on use (with a few seconds' grace for concurrent requests), and
+ * each refresh re-reads the user, so disabling a user or changing their role
+ * takes effect within one access token lifetime.
+ *
+ * ADMIN_API_KEY keeps working as a built-in admin so the first users can be
+ * created.
+ */
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+const HASH_LENGTH = 64; // bytes of scrypt output per password
+
+const ROLES = ["viewer", "operator", "admin"];
+
+const VIEWER = ["sessions:read", "analytics:read", "rules:read", "bans:read"];
+const OPERATOR = [...VIEWER, "sessions:command", "bans:write"];
+const ADMIN = [...OPERATOR, "rules:write", "users:manage", "audit:read"];
+
+const ROLE_PERMISSIONS = {
+  viewer: VIEWER,
+  operator: OPERATOR,
+  admin: ADMIN,
+};
+
+// A used refresh token still works this long (parallel dashboard requests)
+const REFRESH_GRACE_SECONDS = 10;
+
+class AdminAuth {
+  constructor(postgres, redis, options = {}) {
+    this.postgres = postgres;
+    this.redis = redis;
+
+    this.accessTokenTtl =
+      options.accessTokenTtl ||
+      parseInt(process.env.ADMIN_ACCESS_TOKEN_TTL || "900", 10); // seconds
+    this.refreshTokenTtl =
+      options.refreshTokenTtl ||
+      parseInt(process.env.ADMIN_REFRESH_TOKEN_TTL || "604800", 10);
+
+    // Must be shared by every node (and the dashboard, which checks tokens too)
+    this.jwtSecret = options.jwtSecret || process.env.ADMIN_JWT_SECRET;
+    if (!this.jwtSecret && process.env.NODE_ENV === "production") {
+      throw new Error("ADMIN_JWT_SECRET must be set in production");
+    }
+    if (!this.jwtSecret) {
+      this.jwtSecret = crypto.randomBytes(32).toString("base64url");
+      console.warn(
+        "[AdminAuth] ADMIN_JWT_SECRET not set, using a random secret (tokens end on restart)",
+      );
+    }
+
+    // The historical default only outside production
+    this.bootstrapKey =
+      options.bootstrapKey ||
+      process.env.ADMIN_API_KEY ||
+      (process.env.NODE_ENV === "production"
+        ? null
+        : "dev-admin-key-change-in-production");
+  }
+
+  /**
+   * Identity ({ adminId, username, role }) for a request, or null
+   */
+  async authenticate(request) {
+    const apiKey = request.headers["x-api-key"];
+    if (apiKey) {
+      return this.authenticateApiKey(String(apiKey));
+    }
+
+    const authorization = request.headers.authorization || "";
+    if (authorization.startsWith("Bearer ")) {
+      return this.verifyAccessToken(authorization.slice(7));
+    }
+
+    return null;
+  }
+
+  /**
+   * Identity for an API key (a user's or the bootstrap key), or null
+   */
+  async authenticateApiKey(apiKey) {
+    const hash = this.hashToken(apiKey);
+
+    if (
+      this.bootstrapKey &&
+      crypto.timingSafeEqual(
+        Buffer.from(hash, "hex"),
+        Buffer.from(this.hashToken(this.bootstrapKey), "hex"),
+      )
+    ) {
+      return { adminId: null, username: "bootstrap", role: "admin" };
+    }
+
+    const user = await this.postgres.getAdminUserByApiKeyHash(hash);
+    if (!user) return null;
+
+    this.postgres.touchAdminUser(user.admin_id);
+    return this.identity(user);
+  }
+
+  /**
+   * Identity for a username and password, or null
+   */
+  async authenticatePassword(username, password) {
+    const user = await this.postgres.getAdminUserByUsername(username);
+    if (!user || !user.password_hash) return null;
+
+    if (!(await this.verifyPassword(password, user.password_hash))) {
+      return null;
+    }
+
+    this.postgres.touchAdminUser(user.admin_id);
+    return this.identity(user);
+  }
+
+  /**
+   * Identity ({ adminId, username, role }) for an admin_users row
+   */
+  identity(user) {
+    return {
+      adminId: user.admin_id,
+      username: user.username,
+      role: user.role,
+    };
+  }
+
+  /**
+   * Whether a role name is one of viewer, operator or admin
+   */
+  isRole(role) {
+    return ROLES.includes(role);
+  }
+
+  /**
+   * Whether an identity's role grants a permission
+   */
+  can(identity, permission) {
+    return Boolean(
+      identity &&
+      permission &&
+      (ROLE_PERMISSIONS[identity.role] || []).includes(permission),
+    );
+  }
+
+  /**
+   * New random API key with the columns to store for it
+   */
+  issueApiKey() {
+    const apiKey = `tae_${crypto.randomBytes(24).toString("base64url")}`;
+
+    return {
+      apiKey,
+      api_key_hash: this.hashToken(apiKey),
+      api_key_prefix: apiKey.substring(0, 12),
+    };
+  }
+
+  /**
+   * SHA-256 hex of an API key or refresh token, as stored
+   */
+  hashToken(value) {
+    return crypto.createHash("sha256").update(value).digest("hex");
+  }
+
+  /**
+   * Access and refresh tokens for a password login, or null
+   */
+  async login(username, password) {
+    const identity = await this.authenticatePassword(username, password);
+    return identity ? this.issueTokens(identity) : null;
+  }
+
+  /**
+   * Exchange a refresh token for new tokens; the user is re-read so a
+   * disabled user cannot refresh and role changes apply
+   */
+  async refresh(refreshToken) {
+    const stored = await this.redis.useRefreshToken(
+      this.hashToken(String(refreshToken)),
+      REFRESH_GRACE_SECONDS,
+    );
+    if (!stored) return null;
+
+    const user = await this.postgres.getAdminUser(stored.adminId);
+    if (!user || !user.enabled) return null;
+
+    return this.issueTokens(this.identity(user));
+  }
+
+  /**
+   * Revoke a refresh token
+   */
+  async logout(refreshToken) {
+    await this.redis.deleteRefreshToken(this.hashToken(String(refreshToken)));
+  }
+
+  /**
+   * New access token and a stored refresh token for an identity
+   */
+  async issueTokens(identity) {
+    const refreshToken = crypto.randomBytes(32).toString("base64url");
+    await this.redis.saveRefreshToken(
+      this.hashToken(refreshToken),
+      { adminId: identity.adminId, issuedAt: Date.now() },
+      this.refreshTokenTtl,
+    );
+
+    return {
+      accessToken: this.signAccessToken(identity),
+      refreshToken,
+      expiresIn: this.accessTokenTtl,
+      refreshExpiresIn: this.refreshTokenTtl,
+      user: identity,
+    };
+  }
+
+  /**
+   * HS256 JWT for an identity
+   */
+  signAccessToken(identity) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: "HS256", typ: "JWT" };
+    const claims = {
+      sub: identity.adminId,
+      username: identity.username,
+      role: identity.role,
+      iat: now,
+      exp: now + this.accessTokenTtl,
+    };
+
+    const unsigned = [header, claims]
+      .map((part) => Buffer.from(JSON.stringify(part)).toString("base64url"))
+      .join(".");
+    return `${unsigned}.${this.sign(unsigned)}`;
+  }
+
+  /**
+   * Identity from a valid, unexpired access token, or null
+   */
+  verifyAccessToken(token) {
+    const [header, claims, signature] = String(token).split(".");
+    if (!header || !claims || !signature) return null;
+
+    const expected = Buffer.from(this.sign(`${header}.${claims}`));
+    const actual = Buffer.from(signature);
+    if (
+      actual.length !== expected.length ||
+      !crypto.timingSafeEqual(actual, expected)
+    ) {
+      return null;
+    }
+
+    try {
+      const { alg } = JSON.parse(Buffer.from(header, "base64url").toString());
+      const payload = JSON.parse(Buffer.from(claims, "base64url").toString());
+      if (alg !== "HS256" || !(payload.exp > Date.now() / 1000)) return null;
+
+      return {
+        adminId: payload.sub,
+        username: payload.username,
+        role: payload.role,
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * HS256 signature (base64url) of a token's header and claims
+   */
+  sign(value) {
+    return crypto
+      .createHmac("sha256", this.jwtSecret)
+      .update(value)
+      .digest("base64url");
+  }
+
+  /**
+   * scrypt$<salt>$<hash>, both base64
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, HASH_LENGTH);
+    return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+  }
+
+  /**
+   * Whether a password matches a hashPassword value
+   */
+  async verifyPassword(password, stored) {
+    const [scheme, salt, expected] = String(stored).split("$");
+    if (scheme !== "scrypt" || !salt || !expected) return false;
+
+    // A truncated or empty hash would match far more than one password
+    const expectedHash = Buffer.from(expected, "base64");
+    if (expectedHash.length !== HASH_LENGTH) return false;
+
+    const hash = await scrypt(
+      password,
+      Buffer.from(salt, "base64"),
+      HASH_LENGTH,
+    );
+    return crypto.timingSafeEqual(hash, expectedHash);
+  }
+}
+
+module.exports = AdminAuth;
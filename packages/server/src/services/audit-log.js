@@ -0,0 +1,174 @@
+/**
+ * Audit Log - Tamper-evident record of admin changes
+ * Every admin mutation (commands, batch actions, rules, bans, overrides,
+ * admin users) is appended to admin_audit_log with the actor, their IP and
+ * the state before and after the change.
+ *
+ * The table rejects UPDATE, DELETE and TRUNCATE. On top of that each entry
+ * stores the SHA-256 of the previous entry's hash plus its own content, so
+ * editing, removing or reordering rows (e.g. by someone who dropped the
+ * triggers) breaks the chain, which verify() reports.
+ */
+
+const crypto = require("crypto");
+
+// Columns covered by entry_hash
+const HASHED_FIELDS = [
+  "created_at",
+  "actor",
+  "actor_role",
+  "actor_ip",
+  "action",
+  "target_type",
+  "target",
+  "session_hashes",
+  "before_state",
+  "after_state",
+  "details",
+];
+
+/**
+ * Copy of a value without NUL characters, which Postgres text and JSONB
+ * columns reject
+ */
+function stripNul(value) {
+  if (typeof value === "string") return value.replace(/\u0000/g, "");
+  if (Array.isArray(value)) return value.map(stripNul);
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        stripNul(key),
+        stripNul(item),
+      ]),
+    );
+  }
+  return value;
+}
+
+class AuditLog {
+  constructor(postgres) {
+    this.postgres = postgres;
+  }
+
+  /**
+   * Append an entry for the admin making a request; never throws
+   * (the change itself has already been applied)
+   */
+  async record(request, entry) {
+    const admin = request.admin || {};
+
+    try {
+      return await this.postgres.appendAuditEntry(
+        stripNul({
+          created_at: new Date().toISOString(),
+          actor: admin.username || "unknown",
+          actor_role: admin.role || null,
+          actor_ip: request.ip || null,
+          action: entry.action,
+          target_type: entry.targetType || null,
+          target: entry.target != null ? String(entry.target) : null,
+          session_hashes: entry.sessionHashes || [],
+          before_state: entry.before ?? null,
+          after_state: entry.after ?? null,
+          details: entry.details || {},
+        }),
+        (prevHash, row) => this.hash(prevHash, row),
+      );
+    } catch (error) {
+      console.error(`[Audit] Failed to record ${entry.action}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Search entries, newest first (see PostgresService.getAuditEntries)
+   */
+  async search(filters) {
+    return this.postgres.getAuditEntries(filters);
+  }
+
+  /**
+   * Walk the whole chain; the first broken link, if any
+   */
+  async verify(batchSize = 1000) {
+    let prevHash = null;
+    let lastId = 0;
+    let checked = 0;
+
+    for (;;) {
+      const rows = await this.postgres.getAuditChain(lastId, batchSize);
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        if (row.prev_hash !== prevHash) {
+          return {
+            valid: false,
+            checked,
+            brokenAt: row.audit_id,
+            reason: "prev_hash does not match the previous entry",
+          };
+        }
+        if (row.entry_hash !== this.hash(prevHash, row)) {
+          return {
+            valid: false,
+            checked,
+            brokenAt: row.audit_id,
+            reason: "entry_hash does not match the entry",
+          };
+        }
+
+        prevHash = row.entry_hash;
+        lastId = row.audit_id;
+        checked++;
+      }
+    }
+
+    return { valid: true, checked, lastHash: prevHash };
+  }
+
+  /**
+   * SHA-256 over the previous hash and the entry as canonical JSON (sorted
+   * keys), so it matches whether computed before insert or from a stored row
+   */
+  hash(prevHash, row) {
+    const content = {};
+    for (const field of HASHED_FIELDS) {
+      content[field] = row[field] ?? null;
+    }
+    content.created_at = new Date(row.created_at).toISOString();
+
+    return crypto
+      .createHash("sha256")
+      .update(`${prevHash || ""}\n${this.canonicalize(content)}`)
+      .digest("hex");
+  }
+
+  canonicalize(value) {
+    // A NUL could never be stored, so the hash could never be checked
+    const checkNul = (text) => {
+      if (text.includes("\u0000")) {
+        throw new Error("Audit entries cannot contain NUL characters");
+      }
+    };
+
+    const sortKeys = (item) => {
+      if (Array.isArray(item)) return item.map(sortKeys);
+      if (item && typeof item === "object") {
+        return Object.keys(item)
+          .sort()
+          .reduce((sorted, key) => {
+            checkNul(key);
+            sorted[key] = sortKeys(item[key]);
+            return sorted;
+          }, {});
+      }
+      if (typeof item === "string") checkNul(item);
+      return item;
+    };
+
+    // Round-trip first so dates and undefined look as they do once stored
+    return JSON.stringify(sortKeys(JSON.parse(JSON.stringify(value))));
+  }
+}
+
+module.exports = AuditLog;
@@ -1,4 +1,72 @@
+const net = require("net");
 const { createClient } = require("@clickhouse/client");
+const { v4: uuidv4 } = require("uuid");
+const EventSpool = require("./event-spool");
+
+// IPv6 columns hold IPv4 as ::ffff:a.b.c.d; show those in dotted form
+const IP_STRING = "replaceRegexpOne(toString(ip_address), '^::ffff:', '')";
+const IS_IPV4 = "startsWith(toString(ip_address), '::ffff:')";
+
+// /24 for IPv4, /64 for IPv6 - mobile IPv6 clients rotate within their /64
+const IP_SUBNET = `concat(replaceRegexpOne(cutIPv6(ip_address, 8, 1), '^::ffff:', ''), if(${IS_IPV4}, '/24', '/64'))`;
+
+// page_view events from the SDK carry their details in the JSON payload
+const PAGE_VIEWS = `
+  SELECT
+    session_hash,
+    timestamp,
+    JSONExtractString(payload, 'path') AS path,
+    JSONExtractString(payload, 'previousPath') AS previous_path,
+    JSONExtractUInt(payload, 'timeOnPreviousPage') AS time_on_previous_ms
+  FROM events
+  WHERE event_type = 'page_view'
+    AND timestamp >= now() - INTERVAL {hours:UInt16} HOUR
+`;
+
+// Tables written through the queue and spool, with the id column replays
+// deduplicate on. Rows for tables other than events carry their table in
+// _table (stripped before insert).
+const QUEUED_TABLES = {
+  events: "event_id",
+  errors: "error_id",
+  rate_limit_violations: "violation_id",
+};
+
+// An error this soon after a command counts as possibly caused by it
+const ERROR_COMMAND_WINDOW_MS = 10000;
+
+// Dimensions web vitals can be broken down by
+const PERFORMANCE_DIMENSIONS = {
+  page: "JSONExtractString(payload, 'path')",
+  country: "country",
+  network_type: "network_type",
+};
+
+// Per-session dimensions funnels can be broken down by
+const FUNNEL_BREAKDOWNS = {
+  none: "'all'",
+  country: "any(country)",
+  network_type:
+    "ifNull(nullIf(anyIf(network_type, network_type != 'unknown'), ''), 'unknown')",
+  mode: "if(max(is_throttled) = 1, 'throttled', 'normal')",
+};
+
+const MAX_FUNNEL_STEPS = 10;
+
+// Cohort periods: start-of-period function and dateDiff unit
+const RETENTION_PERIODS = {
+  day: { start: "toDate", unit: "day", ms: 24 * 3600 * 1000 },
+  week: { start: "toMonday", unit: "week", ms: 7 * 24 * 3600 * 1000 },
+};
+
+// Sessions ever throttled, ever upspun, or never shaped (from dispatched commands)
+const SET_LATENCY_SESSIONS =
+  "SELECT session_hash FROM command_log WHERE command_type = 'SET_LATENCY'";
+const SHAPING_FILTERS = {
+  throttled: `session_hash IN (${SET_LATENCY_SESSIONS} AND JSONExtractUInt(command_payload, 'latency_ms') > 0)`,
+  upspun: `session_hash IN (${SET_LATENCY_SESSIONS} AND JSONExtractUInt(command_payload, 'latency_ms') = 0)`,
+  unshaped: `session_hash NOT IN (${SET_LATENCY_SESSIONS})`,
+};
 
 class ClickHouseService {
   constructor(config = {}) {
@@ -26,7 +94,21 @@ class ClickHouseService {
     this.flushTimer = null;
     this.isShuttingDown = false;
 
+    // DURABILITY: Spill to disk while ClickHouse is unreachable
+    this.spool =
+      config.spool === false
+        ? null
+        : new EventSpool({
+            dir: config.spoolDir,
+            maxBytes: config.spoolMaxBytes,
+          });
+    this.isAvailable = true;
+    this.replayInterval = config.replayInterval || 10000;
+    this.replayTimer = null;
+    this.isReplaying = false;
+
     this.startFlushTimer();
+    this.startReplayTimer();
     console.log("[ClickHouse] Service initialized");
   }
 
@@ -39,13 +121,27 @@ class ClickHouseService {
       return;
     }
 
+    await this.enqueue(this.formatEventRow(event));
+  }
+
+  /**
+   * Queue a formatted row; when the queue is full, spool it with the queue
+   */
+  async enqueue(row) {
     // MEMORY LEAK FIX: Prevent unbounded queue growth
     if (this.eventQueue.length >= this.MAX_QUEUE_SIZE) {
-      console.error("[ClickHouse] Queue full, dropping event");
+      if (this.spool) {
+        // ORDERING: Queued rows are older, so they reach the spool first,
+        // all in one write
+        const overflow = [...this.eventQueue, row];
+        this.eventQueue = [];
+        await this.spool.append(overflow);
+      } else {
+        console.error("[ClickHouse] Queue full, dropping event");
+      }
       return;
     }
 
-    const row = this.formatEventRow(event);
     this.eventQueue.push(row);
 
     if (this.eventQueue.length >= this.batchSize) {
@@ -63,6 +159,9 @@ class ClickHouseService {
     }
 
     return {
+      // DEDUPLICATION: Stable id so spool replays never double-count
+      event_id: uuidv4(),
+
       // SECURITY: Sanitize all inputs
       session_hash: String(event.sessionHash).substring(0, 64),
       event_type: String(event.eventType || event.type || "unknown").substring(
@@ -72,7 +171,7 @@ class ClickHouseService {
       timestamp: event.timestamp ? new Date(event.timestamp) : new Date(),
 
       // IP handling with validation
-      ip_address: this.ipToInt(event.ipAddress || "0.0.0.0"),
+      ip_address: this.formatIp(event.ipAddress),
       user_agent: String(event.userAgent || "").substring(0, 500),
 
       // GeoIP with bounds checking
@@ -163,38 +262,24 @@ class ClickHouseService {
   //   return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
   // }
   /**
-   * SECURITY: Validate and convert IP to integer (IPv4 only, converts IPv6 to IPv4)
+   * SECURITY: Validate an IP for the IPv6 columns
+   * IPv4 is stored IPv4-mapped (::ffff:a.b.c.d); invalid input becomes ::
    */
-  ipToInt(ip) {
-    if (!ip || ip === "0.0.0.0") return 0;
-
-    // Handle IPv6-mapped IPv4 (::ffff:192.168.1.1)
-    if (ip.startsWith("::ffff:")) {
-      ip = ip.substring(7);
-    }
-
-    // Handle IPv6 localhost
-    if (ip === "::1" || ip === "::") {
-      ip = "127.0.0.1";
+  formatIp(ip) {
+    // Rows spooled before the IPv6 migration carry IPv4 as UInt32
+    if (typeof ip === "number") {
+      return `::ffff:${[24, 16, 8, 0].map((shift) => (ip >>> shift) & 255).join(".")}`;
     }
+    if (!ip) return "::";
 
-    // IPv4 validation regex
-    const ipv4Regex = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
-    const match = ip.match(ipv4Regex);
+    // Drop any zone index (fe80::1%eth0)
+    const address = String(ip).split("%")[0];
 
-    if (!match) {
-      console.warn(`[ClickHouse] Cannot convert IP to int: ${ip}`);
-      return 0;
-    }
+    if (net.isIPv4(address)) return `::ffff:${address}`;
+    if (net.isIPv6(address)) return address.toLowerCase();
 
-    const parts = match.slice(1).map(Number);
-
-    // Validate octets are 0-255
-    if (parts.some((p) => p < 0 || p > 255)) return 0;
-
-    return (
-      ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0
-    );
+    console.warn(`[ClickHouse] Invalid IP address: ${ip}`);
+    return "::";
   }
 
   /**
@@ -225,24 +310,59 @@ class ClickHouseService {
     const batch = [...this.eventQueue];
     this.eventQueue = [];
 
+    if (this.spool) {
+      // ORDERING: Drain older spooled events before writing new ones
+      if (this.isAvailable && this.spool.hasPending()) {
+        await this.replaySpool();
+      }
+
+      if (!this.isAvailable || this.spool.hasPending()) {
+        await this.spool.append(batch);
+        return;
+      }
+    }
+
+    const groups = this.groupByTable(batch);
+    let inserted = 0;
+
     try {
-      await this.client.insert({
-        table: "events",
-        values: batch,
-        format: "JSONEachRow",
-      });
+      for (const [table, rows] of groups) {
+        await this.client.insert({
+          table,
+          values: rows,
+          format: "JSONEachRow",
+        });
+        inserted++;
+      }
 
       console.log(`[ClickHouse] ✓ Flushed ${batch.length} events`);
     } catch (error) {
       console.error("[ClickHouse] ✗ Flush error:", error.message);
 
+      // Tables already written are not retried
+      const failed = groups
+        .slice(inserted)
+        .flatMap(([table, rows]) =>
+          rows.map((row) =>
+            table === "events" ? row : { ...row, _table: table },
+          ),
+        );
+
+      if (this.spool) {
+        // DURABILITY: Hold everything on disk until healthCheck() passes again
+        this.isAvailable = false;
+        const spooled = await this.spool.append(failed);
+        console.log(`[ClickHouse] Spooled ${spooled} events to disk`);
+        return;
+      }
+
       // ERROR RECOVERY: Re-queue up to 1000 failed events
       if (this.eventQueue.length < 1000) {
         this.eventQueue.unshift(
-          ...batch.slice(0, 1000 - this.eventQueue.length),
+          ...failed.slice(0, 1000 - this.eventQueue.length),
         );
         console.log(
-          `[ClickHouse] Re-queued ${Math.min(batch.length, 1000)} events`,
+          `[ClickHouse] Re-queued ${Math.min(failed.length, 1000)} events`,
         );
       } else {
         console.error(
@@ -252,6 +372,111 @@ class ClickHouseService {
     }
   }
 
+  /**
+   * Split queued rows into [table, rows] pairs, without the _table marker
+   */
+  groupByTable(rows) {
+    const groups = new Map();
+
+    for (const { _table: table = "events", ...row } of rows) {
+      if (!groups.has(table)) groups.set(table, []);
+      groups.get(table).push(row);
+    }
+
+    return [...groups];
+  }
+
+  /**
+   * Replay spooled events once ClickHouse answers health checks again
+   */
+  async replaySpool() {
+    if (!this.spool || this.isReplaying) return 0;
+    if (this.isAvailable && !this.spool.hasPending()) return 0;
+
+    this.isReplaying = true;
+    try {
+      const health = await this.healthCheck();
+      if (!health.healthy) return 0;
+
+      const replayed = await this.spool.replay((rows) =>
+        this.insertDeduplicated(rows),
+      );
+
+      this.isAvailable = !this.spool.hasPending();
+      if (replayed > 0) {
+        console.log(`[ClickHouse] ✓ Replayed ${replayed} spooled events`);
+      }
+      return replayed;
+    } catch (error) {
+      console.error("[ClickHouse] Spool replay error:", error.message);
+      return 0;
+    } finally {
+      this.isReplaying = false;
+    }
+  }
+
+  /**
+   * Insert rows whose id is not already stored
+   * (a flush can time out client-side after ClickHouse accepted it)
+   */
+  async insertDeduplicated(rows) {
+    const missing = [];
+
+    for (const [table, tableRows] of this.groupByTable(rows)) {
+      const idColumn = QUEUED_TABLES[table];
+      if (!idColumn) {
+        console.error(`[ClickHouse] Dropping spooled rows for ${table}`);
+        continue;
+      }
+
+      const seen = new Set();
+      const unique = tableRows.filter((row) => {
+        if (!row[idColumn] || seen.has(row[idColumn])) return false;
+        seen.add(row[idColumn]);
+        return true;
+      });
+
+      if (unique.length === 0) continue;
+
+      const since = unique.reduce(
+        (min, row) => (row.timestamp < min ? row.timestamp : min),
+        unique[0].timestamp,
+      );
+
+      const resultSet = await this.client.query({
+        query: `
+          SELECT toString(${idColumn}) AS id
+          FROM ${table}
+          WHERE session_hash IN {hashes:Array(String)}
+            AND timestamp >= parseDateTime64BestEffort({since:String}, 3)
+            AND ${idColumn} IN {ids:Array(UUID)}
+        `,
+        query_params: {
+          hashes: [...new Set(unique.map((row) => row.session_hash))],
+          since: String(since),
+          ids: unique.map((row) => row[idColumn]),
+        },
+        format: "JSONEachRow",
+      });
+      const existing = new Set((await resultSet.json()).map((row) => row.id));
+
+      const tableMissing = unique
+        .filter((row) => !existing.has(row[idColumn]))
+        .map((row) => ({ ...row, ip_address: this.formatIp(row.ip_address) }));
+      if (tableMissing.length > 0) {
+        await this.client.insert({
+          table,
+          values: tableMissing,
+          format: "JSONEachRow",
+        });
+      }
+
+      missing.push(...tableMissing);
+    }
+
+    return missing;
+  }
+
   /**
    * Start flush timer with error handling
    */
@@ -265,6 +490,21 @@ class ClickHouseService {
     }, this.flushInterval);
   }
 
+  /**
+   * Start spool replay timer
+   */
+  startReplayTimer() {
+    if (!this.spool) return;
+
+    this.replayTimer = setInterval(async () => {
+      try {
+        await this.replaySpool();
+      } catch (error) {
+        console.error("[ClickHouse] Timer replay error:", error);
+      }
+    }, this.replayInterval);
+  }
+
   /**
    * SECURITY FIX: Use parameterized queries
    */
@@ -278,7 +518,7 @@ class ClickHouseService {
         any(city) as city,
         any(country) as country,
         max(risk_score) as risk_score,
-        any(IPv4NumToString(ip_address)) as ip_address
+        any(${IP_STRING}) as ip_address
       FROM events
       WHERE timestamp >= now() - INTERVAL {minutes:UInt8} MINUTE
       GROUP BY session_hash
@@ -308,6 +548,7 @@ class ClickHouseService {
         city,
         count() as events,
         uniq(session_hash) as sessions,
+        uniqIf(session_hash, NOT ${IS_IPV4}) as ipv6_sessions,
         avg(latency_ms) as avg_latency
       FROM events
       WHERE timestamp >= now() - INTERVAL {hours:UInt16} HOUR
@@ -340,7 +581,10 @@ class ClickHouseService {
         uniq(event_type) as unique_events,
         avg(latency_ms) as avg_latency,
         sum(is_throttled) as throttle_count,
-        any(IPv4NumToString(ip_address)) as ip_address,
+        any(${IP_STRING}) as ip_address,
+        any(if(${IS_IPV4}, 4, 6)) as ip_version,
+        any(${IP_SUBNET}) as ip_subnet,
+        uniq(ip_address) as ip_count,
         any(city) as city
       FROM events
       WHERE timestamp >= now() - INTERVAL {hours:UInt8} HOUR
@@ -402,6 +646,600 @@ class ClickHouseService {
     }
   }
 
+  /**
+   * Most viewed pages with entrances and average time on page
+   * (time on a page is reported by the page view that follows it)
+   */
+  async getTopPages(hoursAgo = 24, limit = 20) {
+    const query = `
+      SELECT
+        path,
+        count() AS views,
+        uniq(session_hash) AS sessions,
+        countIf(previous_path = '') AS entrances,
+        any(page_time.avg_time_on_page_ms) AS avg_time_on_page_ms
+      FROM (${PAGE_VIEWS}) AS views
+      LEFT JOIN (
+        SELECT previous_path AS path, avg(time_on_previous_ms) AS avg_time_on_page_ms
+        FROM (${PAGE_VIEWS})
+        WHERE previous_path != ''
+        GROUP BY path
+      ) AS page_time USING path
+      GROUP BY path
+      ORDER BY views DESC
+      LIMIT {limit:UInt16}
+    `;
+
+    try {
+      const resultSet = await this.client.query({
+        query,
+        query_params: {
+          hours: Math.min(Math.max(1, hoursAgo), 720),
+          limit: Math.min(Math.max(1, limit), 500),
+        },
+        format: "JSONEachRow",
+      });
+      return await resultSet.json();
+    } catch (error) {
+      console.error("[ClickHouse] Query error:", error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Page-to-page navigation counts (previous path → path)
+   */
+  async getNavigationFlows(hoursAgo = 24, limit = 50) {
+    const query = `
+      SELECT
+        previous_path AS from_path,
+        path AS to_path,
+        count() AS transitions,
+        uniq(session_hash) AS sessions,
+        avg(time_on_previous_ms) AS avg_time_on_previous_ms
+      FROM (${PAGE_VIEWS})
+      WHERE previous_path != '' AND previous_path != path
+      GROUP BY from_path, to_path
+      ORDER BY transitions DESC
+      LIMIT {limit:UInt16}
+    `;
+
+    try {
+      const resultSet = await this.client.query({
+        query,
+        query_params: {
+          hours: Math.min(Math.max(1, hoursAgo), 720),
+          limit: Math.min(Math.max(1, limit), 500),
+        },
+        format: "JSONEachRow",
+      });
+      return await resultSet.json();
+    } catch (error) {
+      console.error("[ClickHouse] Query error:", error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Most common page sequences starting (direction "start") or ending
+   * ("end") at a page, as Sankey nodes and links. Each session contributes
+   * the pages after its first visit to the start page, or before its last
+   * visit to the end page; consecutive repeats of a page are collapsed
+   */
+  async getPaths({
+    path,
+    direction = "start",
+    depth = 4,
+    limit = 20,
+    hours = 24,
+  }) {
+    const params = {
+      path,
+      hours: Math.min(Math.max(1, hours), 720),
+      steps: Math.min(Math.max(1, depth), 10) + 1,
+      limit: Math.min(Math.max(1, limit), 200),
+    };
+
+    // Ending at a page is starting at it in the reversed sequence
+    const ordered = direction === "end" ? "arrayReverse(pages)" : "pages";
+
+    const query = `
+      SELECT sequence, count() AS sessions
+      FROM (
+        SELECT
+          arrayFilter(
+            (page, i) -> i = 1 OR page != visited[i - 1],
+            visited,
+            arrayEnumerate(visited)
+          ) AS pages,
+          ${ordered} AS ordered,
+          arraySlice(ordered, indexOf(ordered, {path:String}), {steps:UInt8}) AS sequence
+        FROM (
+          SELECT
+            session_hash,
+            arrayMap(view -> view.2, arraySort(groupArray((timestamp, path)))) AS visited
+          FROM (${PAGE_VIEWS})
+          GROUP BY session_hash
+          HAVING has(visited, {path:String})
+        )
+      )
+      GROUP BY sequence
+      ORDER BY sessions DESC
+      LIMIT {limit:UInt16}
+    `;
+
+    let sequences = [];
+    try {
+      const resultSet = await this.client.query({
+        query,
+        query_params: params,
+        format: "JSONEachRow",
+      });
+      sequences = (await resultSet.json()).map((row) => ({
+        pages: direction === "end" ? row.sequence.reverse() : row.sequence,
+        sessions: Number(row.sessions),
+      }));
+    } catch (error) {
+      console.error("[ClickHouse] Query error:", error.message);
+    }
+
+    // Nodes are per step so the same page at two steps does not loop.
+    // step is the distance from the start (or end, as negatives) page
+    const nodes = [];
+    const nodeIndex = new Map();
+    const links = new Map();
+
+    const node = (step, name) => {
+      const key = `${step}:${name}`;
+      if (!nodeIndex.has(key)) {
+        nodeIndex.set(key, nodes.length);
+        nodes.push({ name, step });
+      }
+      return nodeIndex.get(key);
+    };
+
+    for (const { pages, sessions } of sequences) {
+      const offset = direction === "end" ? pages.length - 1 : 0;
+      node(-offset, pages[0]);
+      for (let i = 0; i < pages.length - 1; i++) {
+        const source = node(i - offset, pages[i]);
+        const target = node(i + 1 - offset, pages[i + 1]);
+        const key = `${source}>${target}`;
+        const link = links.get(key) || { source, target, value: 0 };
+        link.value += sessions;
+        links.set(key, link);
+      }
+    }
+
+    return { sequences, nodes, links: Array.from(links.values()) };
+  }
+
+  /**
+   * Click heatmap for one page: click density binned by document position
+   * (x as a share of the document width, y in pixel rows) and the most
+   * clicked selectors with their rage and dead clicks
+   */
+  async getClickHeatmap({ path, from, to, binsX = 20, binSize = 50 }) {
+    const params = {
+      path,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      bins_x: Math.min(Math.max(1, binsX), 200),
+      bin_size: Math.min(Math.max(10, binSize), 1000),
+    };
+    const range = `
+      JSONExtractString(payload, 'path') = {path:String}
+      AND timestamp >= parseDateTime64BestEffort({from:String}, 3)
+      AND timestamp < parseDateTime64BestEffort({to:String}, 3)
+    `;
+
+    const binsQuery = `
+      SELECT
+        least(toUInt16(floor(JSONExtractFloat(payload, 'xRatio') * {bins_x:UInt16})), {bins_x:UInt16} - 1) AS x_bin,
+        intDiv(JSONExtractUInt(payload, 'pageY'), {bin_size:UInt16}) AS y_bin,
+        count() AS clicks,
+        uniq(session_hash) AS sessions
+      FROM events
+      WHERE event_type = 'interaction' AND interaction_type = 'click' AND ${range}
+      GROUP BY x_bin, y_bin
+      ORDER BY y_bin, x_bin
+      LIMIT 10000
+    `;
+
+    const selectorsQuery = `
+      SELECT
+        JSONExtractString(payload, 'selector') AS selector,
+        any(element_tag) AS element_tag,
+        countIf(event_type = 'interaction') AS clicks,
+        countIf(event_type = 'rage_click') AS rage_clicks,
+        countIf(event_type = 'dead_click') AS dead_clicks,
+        uniq(session_hash) AS sessions
+      FROM events
+      WHERE (
+          (event_type = 'interaction' AND interaction_type = 'click')
+          OR event_type IN ('rage_click', 'dead_click')
+        )
+        AND ${range}
+        AND selector != ''
+      GROUP BY selector
+      ORDER BY clicks DESC
+      LIMIT 50
+    `;
+
+    try {
+      const [bins, topSelectors] = await Promise.all(
+        [binsQuery, selectorsQuery].map(async (query) => {
+          const resultSet = await this.client.query({
+            query,
+            query_params: params,
+            format: "JSONEachRow",
+          });
+          return resultSet.json();
+        }),
+      );
+
+      return {
+        binsX: params.bins_x,
+        binSize: params.bin_size,
+        totalClicks: bins.reduce((sum, bin) => sum + Number(bin.clicks), 0),
+        bins,
+        topSelectors,
+      };
+    } catch (error) {
+      console.error("[ClickHouse] Query error:", error.message);
+      return {
+        binsX: params.bins_x,
+        binSize: params.bin_size,
+        totalClicks: 0,
+        bins: [],
+        topSelectors: [],
+      };
+    }
+  }
+
+  /**
+   * Check funnel steps; returns a list of problems (empty when valid)
+   */
+  validateFunnel(steps, breakdown = "none") {
+    if (!Array.isArray(steps) || steps.length < 2) {
+      return ["steps must be an array of at least 2 steps"];
+    }
+
+    const errors = [];
+    if (steps.length > MAX_FUNNEL_STEPS) {
+      errors.push(`at most ${MAX_FUNNEL_STEPS} steps are supported`);
+    }
+    if (!FUNNEL_BREAKDOWNS[breakdown]) {
+      errors.push(
+        `breakdown must be one of ${Object.keys(FUNNEL_BREAKDOWNS).join(", ")}`,
+      );
+    }
+
+    steps.forEach((step, index) => {
+      const matchers = ["event_type", "page_url", "event"].filter(
+        (field) => step && typeof step[field] === "string" && step[field],
+      );
+      if (matchers.length === 0) {
+        errors.push(`step ${index + 1} needs event_type, page_url or event`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * SQL condition for one funnel step. A step matches on any combination of
+   * event_type, page_url (glob with *, a leading / matches the URL path) and
+   * event (a custom event name, which trackEvent stores as the event_type)
+   */
+  funnelCondition(step, index, params) {
+    const conditions = [];
+
+    for (const field of ["event_type", "event"]) {
+      if (step[field]) {
+        params[`s${index}_${field}`] = step[field];
+        conditions.push(`event_type = {s${index}_${field}:String}`);
+      }
+    }
+
+    if (step.page_url) {
+      params[`s${index}_url`] = step.page_url
+        .replace(/[\\%_]/g, "\\$&")
+        .replace(/\*/g, "%");
+      const column = step.page_url.startsWith("/")
+        ? "path(page_url)"
+        : "page_url";
+      conditions.push(`${column} LIKE {s${index}_url:String}`);
+    }
+
+    return `(${conditions.join(" AND ")})`;
+  }
+
+  /**
+   * Ordered funnel with windowFunnel: how many sessions reached each step
+   * within windowSeconds of the first, per breakdown group
+   */
+  async getFunnel({
+    steps,
+    windowSeconds = 3600,
+    hours = 24,
+    breakdown = "none",
+  }) {
+    const params = {
+      hours: Math.min(Math.max(1, hours), 720),
+      window: Math.min(Math.max(1, windowSeconds), 30 * 24 * 3600),
+    };
+    const conditions = steps.map((step, index) =>
+      this.funnelCondition(step, index, params),
+    );
+
+    const query = `
+      SELECT group_key, level, count() AS sessions
+      FROM (
+        SELECT
+          session_hash,
+          ${FUNNEL_BREAKDOWNS[breakdown]} AS group_key,
+          windowFunnel({window:UInt32})(toDateTime(timestamp), ${conditions.join(", ")}) AS level
+        FROM events
+        WHERE timestamp >= now() - INTERVAL {hours:UInt16} HOUR
+          AND (${conditions.join(" OR ")})
+        GROUP BY session_hash
+      )
+      WHERE level > 0
+      GROUP BY group_key, level
+    `;
+
+    let rows = [];
+    try {
+      const resultSet = await this.client.query({
+        query,
+        query_params: params,
+        format: "JSONEachRow",
+      });
+      rows = await resultSet.json();
+    } catch (error) {
+      console.error("[ClickHouse] Query error:", error.message);
+    }
+
+    // Sessions stopping at each level, per group
+    const levels = new Map();
+    for (const row of rows) {
+      const counts =
+        levels.get(row.group_key) || new Array(steps.length).fill(0);
+      counts[Number(row.level) - 1] += Number(row.sessions);
+      levels.set(row.group_key, counts);
+    }
+
+    const toSteps = (counts) => {
+      // A session that reached level n also passed every step before it
+      const reached = counts.map((_, index) =>
+        counts.slice(index).reduce((sum, count) => sum + count, 0),
+      );
+
+      return steps.map((step, index) => {
+        const previous = index === 0 ? reached[0] : reached[index - 1];
+        return {
+          step: index + 1,
+          name: step.name || step.event || step.event_type || step.page_url,
+          sessions: reached[index],
+          conversion: reached[0] ? reached[index] / reached[0] : 0,
+          dropOff: previous - reached[index],
+          dropOffRate: previous ? (previous - reached[index]) / previous : 0,
+        };
+      });
+    };
+
+    const total = new Array(steps.length).fill(0);
+    for (const counts of levels.values()) {
+      counts.forEach((count, index) => {
+        total[index] += count;
+      });
+    }
+
+    return {
+      steps: toSteps(total),
+      groups: Array.from(levels, ([key, counts]) => ({
+        key,
+        steps: toSteps(counts),
+      })).sort((a, b) => b.steps[0].sessions - a.steps[0].sessions),
+    };
+  }
+
+  /**
+   * Retention of returning fingerprints: sessions grouped by the day or week
+   * they were first seen, and how many came back in each later period.
+   * shaping limits cohorts to sessions ever throttled, ever upspun, or
+   * neither ("unshaped")
+   */
+  async getRetention({
+    period = "week",
+    cohorts = 8,
+    periods = 8,
+    country = null,
+    shaping = null,
+  }) {
+    const { start, unit, ms } = RETENTION_PERIODS[period];
+    const params = {
+      cohorts: Math.min(Math.max(1, cohorts), 52),
+      periods: Math.min(Math.max(1, periods), 52),
+    };
+
+    const filters = [];
+    if (country) {
+      params.country = country;
+      filters.push("country = {country:String}");
+    }
+    if (shaping) {
+      filters.push(SHAPING_FILTERS[shaping]);
+    }
+
+    // First seen is over all retained events, so older visitors are not
+    // mistaken for new ones
+    const query = `
+      SELECT
+        toString(cohort) AS cohort,
+        dateDiff('${unit}', cohort, visit) AS period_offset,
+        uniqExact(session_hash) AS sessions
+      FROM (
+        SELECT DISTINCT session_hash, ${start}(timestamp) AS visit
+        FROM events
+        WHERE timestamp >= ${start}(now() - INTERVAL {cohorts:UInt16} ${unit.toUpperCase()})
+      ) AS visits
+      INNER JOIN (
+        SELECT
+          session_hash,
+          ${start}(min(timestamp)) AS cohort,
+          argMin(country, timestamp) AS country
+        FROM events
+        GROUP BY session_hash
+        HAVING cohort >= ${start}(now() - INTERVAL {cohorts:UInt16} ${unit.toUpperCase()})
+      ) AS first_seen USING session_hash
+      ${filters.length > 0 ? `WHERE ${filters.join(" AND ")}` : ""}
+      GROUP BY cohort, period_offset
+      HAVING period_offset <= {periods:UInt16}
+      ORDER BY cohort, period_offset
+    `;
+
+    let rows = [];
+    try {
+      const resultSet = await this.client.query({
+        query,
+        query_params: params,
+        format: "JSONEachRow",
+      });
+      rows = await resultSet.json();
+    } catch (error) {
+      console.error("[ClickHouse] Query error:", error.message);
+    }
+
+    const byCohort = new Map();
+    for (const row of rows) {
+      const returning =
+        byCohort.get(row.cohort) || new Array(params.periods + 1).fill(0);
+      returning[Number(row.period_offset)] = Number(row.sessions);
+      byCohort.set(row.cohort, returning);
+    }
+
+    return Array.from(byCohort, ([cohort, returning]) => {
+      // Periods that have not happened yet are left out rather than zero
+      const elapsed = Math.floor((Date.now() - Date.parse(cohort)) / ms);
+
+      return {
+        cohort,
+        size: returning[0],
+        retention: returning.slice(0, elapsed + 1).map((sessions, offset) => ({
+          period: offset,
+          sessions,
+          rate: returning[0] ? sessions / returning[0] : 0,
+        })),
+      };
+    });
+  }
+
+  /**
+   * Rage clicks, dead clicks and scroll thrashing per page, relative to views
+   */
+  async getFrustrationByPage(hoursAgo = 24, limit = 20) {
+    const query = `
+      SELECT
+        path,
+        countIf(event_type = 'rage_click') AS rage_clicks,
+        countIf(event_type = 'dead_click') AS dead_clicks,
+        countIf(event_type = 'scroll_thrash') AS scroll_thrashes,
+        uniq(session_hash) AS frustrated_sessions,
+        any(page.views) AS page_views,
+        any(page.sessions) AS page_sessions,
+        if(page_sessions > 0, frustrated_sessions / page_sessions, 0) AS frustration_rate
+      FROM (
+        SELECT session_hash, event_type, JSONExtractString(payload, 'path') AS path
+        FROM events
+        WHERE event_type IN ('rage_click', 'dead_click', 'scroll_thrash')
+          AND timestamp >= now() - INTERVAL {hours:UInt16} HOUR
+      ) AS signals
+      LEFT JOIN (
+        SELECT path, count() AS views, uniq(session_hash) AS sessions
+        FROM (${PAGE_VIEWS})
+        GROUP BY path
+      ) AS page USING path
+      GROUP BY path
+      ORDER BY rage_clicks + dead_clicks + scroll_thrashes DESC
+      LIMIT {limit:UInt16}
+    `;
+
+    try {
+      const resultSet = await this.client.query({
+        query,
+        query_params: {
+          hours: Math.min(Math.max(1, hoursAgo), 720),
+          limit: Math.min(Math.max(1, limit), 500),
+        },
+        format: "JSONEachRow",
+      });
+      return await resultSet.json();
+    } catch (error) {
+      console.error("[ClickHouse] Query error:", error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Web vital percentiles per page, country or network type, split by
+   * whether the session was throttled when the vital was measured
+   */
+  async getPerformancePercentiles(hoursAgo = 24, groupBy = "page") {
+    const dimension = PERFORMANCE_DIMENSIONS[groupBy];
+    if (!dimension) {
+      throw new Error(
+        `groupBy must be one of ${Object.keys(PERFORMANCE_DIMENSIONS).join(", ")}`,
+      );
+    }
+
+    // The SDK re-sends LCP, CLS and INP as they change under one page-load
+    // id; only the last value per id counts (reports without an id are kept)
+    const query = `
+      SELECT
+        dimension AS group_key,
+        metric,
+        throttled AS is_throttled,
+        count() AS samples,
+        quantiles(0.5, 0.75, 0.95)(value) AS q,
+        q[1] AS p50,
+        q[2] AS p75,
+        q[3] AS p95,
+        countIf(rating = 'good') / samples AS good_ratio
+      FROM (
+        SELECT
+          argMax(${dimension}, timestamp) AS dimension,
+          JSONExtractString(payload, 'name') AS metric,
+          argMax(is_throttled, timestamp) AS throttled,
+          argMax(JSONExtractFloat(payload, 'value'), timestamp) AS value,
+          argMax(JSONExtractString(payload, 'rating'), timestamp) AS rating
+        FROM events
+        WHERE event_type = 'web_vital'
+          AND timestamp >= now() - INTERVAL {hours:UInt16} HOUR
+        GROUP BY
+          session_hash,
+          if(JSONExtractString(payload, 'id') = '', toString(event_id), JSONExtractString(payload, 'id')),
+          metric
+      )
+      GROUP BY group_key, metric, is_throttled
+      ORDER BY samples DESC
+      LIMIT 1000
+    `;
+
+    try {
+      const resultSet = await this.client.query({
+        query,
+        query_params: { hours: Math.min(Math.max(1, hoursAgo), 720) },
+        format: "JSONEachRow",
+      });
+      return (await resultSet.json()).map(({ q, ...row }) => row);
+    } catch (error) {
+      console.error("[ClickHouse] Query error:", error.message);
+      return [];
+    }
+  }
+
   /**
    * Analytics summary
    */
@@ -443,7 +1281,7 @@ class ClickHouseService {
       session_hash: String(command.sessionHash || "").substring(0, 64),
       command_type: String(command.commandType).substring(0, 50),
       admin_id: String(command.adminId || "").substring(0, 100),
-      admin_ip: this.ipToInt(command.adminIp || "0.0.0.0"),
+      admin_ip: this.formatIp(command.adminIp),
       command_payload: JSON.stringify(command.commandPayload || {}).substring(
         0,
         5000,
@@ -469,27 +1307,157 @@ class ClickHouseService {
    * Log rate violation
    */
   async logRateViolation(violation) {
+    if (this.isShuttingDown) return;
+
     const row = {
+      _table: "rate_limit_violations",
+      // DEDUPLICATION: Stable id so spool replays never double-count
+      violation_id: uuidv4(),
       timestamp: new Date(),
-      session_hash: String(violation.sessionHash).substring(0, 64),
-      ip_address: this.ipToInt(violation.ipAddress),
+      session_hash: String(violation.sessionHash || "").substring(0, 64),
+      ip_address: this.formatIp(violation.ipAddress),
+      layer: violation.layer || "session",
+      limit_key: String(violation.limitKey || violation.sessionHash).substring(
+        0,
+        255,
+      ),
       events_per_second: this.clampFloat(violation.eventsPerSecond, 0, 10000),
       threshold_exceeded: this.clampFloat(
         violation.thresholdExceeded,
         0,
         10000,
       ),
-      auto_throttled: 1,
+      auto_throttled: violation.autoThrottled === false ? 0 : 1,
     };
 
+    // Queued like events: denials arrive in bursts during floods
+    await this.enqueue(row);
+  }
+
+  /**
+   * Store an SDK error report (queued and spooled like events)
+   */
+  async logError(event) {
+    if (this.isShuttingDown) {
+      console.warn("[ClickHouse] Rejecting error report during shutdown");
+      return;
+    }
+
+    const error = event.payload || {};
+    const command = error.lastCommand || null;
+
+    const row = {
+      _table: "errors",
+      // DEDUPLICATION: Stable id so spool replays never double-count
+      error_id: uuidv4(),
+      timestamp: event.timestamp ? new Date(event.timestamp) : new Date(),
+      session_hash: String(event.sessionHash || "").substring(0, 64),
+      fingerprint: String(error.fingerprint || "").substring(0, 64),
+      source: String(error.source || "unknown").substring(0, 30),
+      name: String(error.name || "Error").substring(0, 200),
+      message: String(error.message || "").substring(0, 1000),
+      stack: String(error.stack || "").substring(0, 4000),
+      filename: String(error.filename || "").substring(0, 1000),
+      lineno: this.clampInt(error.lineno || 0, 0, 4294967295),
+      colno: this.clampInt(error.colno || 0, 0, 4294967295),
+      page_url: String(event.pageUrl || "").substring(0, 1000),
+      path: String(error.path || "").substring(0, 1000),
+      occurrences: this.clampInt(error.occurrences || 1, 1, 1000000),
+      ip_address: this.formatIp(event.ipAddress),
+      country: String(event.geoip?.country || "").substring(0, 2),
+      user_agent: String(event.userAgent || "").substring(0, 500),
+      last_command_id: String(command?.id || "").substring(0, 64),
+      last_command_type: String(command?.type || "").substring(0, 50),
+      ms_since_command: command
+        ? this.clampInt(command.msAgo || 0, 0, 4294967295)
+        : null,
+    };
+
+    await this.enqueue(row);
+  }
+
+  /**
+   * Errors grouped by fingerprint, with the commands that preceded them
+   */
+  async getErrorGroups(hoursAgo = 24, limit = 50) {
+    const query = `
+      SELECT
+        fingerprint,
+        any(name) AS name,
+        any(message) AS message,
+        any(source) AS source,
+        any(stack) AS sample_stack,
+        sum(occurrences) AS occurrences,
+        count() AS reports,
+        uniq(session_hash) AS sessions,
+        min(timestamp) AS first_seen,
+        max(timestamp) AS last_seen,
+        topK(5)(path) AS top_paths,
+        countIf(last_command_type != '' AND ms_since_command <= {window:UInt32}) AS after_command,
+        topKIf(3)(last_command_type, last_command_type != '' AND ms_since_command <= {window:UInt32}) AS preceding_commands
+      FROM errors
+      WHERE timestamp >= now() - INTERVAL {hours:UInt16} HOUR
+      GROUP BY fingerprint
+      ORDER BY occurrences DESC
+      LIMIT {limit:UInt16}
+    `;
+
     try {
-      await this.client.insert({
-        table: "rate_limit_violations",
-        values: [row],
+      const resultSet = await this.client.query({
+        query,
+        query_params: {
+          hours: Math.min(Math.max(1, hoursAgo), 720),
+          limit: Math.min(Math.max(1, limit), 500),
+          window: ERROR_COMMAND_WINDOW_MS,
+        },
+        format: "JSONEachRow",
+      });
+      return await resultSet.json();
+    } catch (error) {
+      console.error("[ClickHouse] Query error:", error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Recent reports of one error, with their sessions and preceding commands
+   */
+  async getErrorOccurrences(fingerprint, hoursAgo = 24, limit = 100) {
+    const query = `
+      SELECT
+        timestamp,
+        session_hash,
+        source,
+        message,
+        stack,
+        page_url,
+        occurrences,
+        country,
+        user_agent,
+        last_command_id,
+        last_command_type,
+        ms_since_command
+      FROM errors
+      WHERE fingerprint = {fingerprint:String}
+        AND timestamp >= now() - INTERVAL {hours:UInt16} HOUR
+      ORDER BY timestamp DESC
+      LIMIT {limit:UInt16}
+    `;
+
+    try {
+      const resultSet = await this.client.query({
+        query,
+        query_params: {
+          fingerprint,
+          hours: Math.min(Math.max(1, hoursAgo), 720),
+          limit: Math.min(Math.max(1, limit), 1000),
+        },
         format: "JSONEachRow",
       });
+      return await resultSet.json();
     } catch (error) {
-      console.error("[ClickHouse] Failed to log violation:", error.message);
+      console.error("[ClickHouse] Query error:", error.message);
+      return [];
     }
   }
 
@@ -503,12 +1471,23 @@ class ClickHouseService {
         format: "JSONEachRow",
       });
       const result = await resultSet.json();
-      return { healthy: true, result };
+      return { healthy: true, result, spool: this.getSpoolStats() };
     } catch (error) {
-      return { healthy: false, error: error.message };
+      return {
+        healthy: false,
+        error: error.message,
+        spool: this.getSpoolStats(),
+      };
     }
   }
 
+  /**
+   * Spool metrics (spooled/replayed/deduplicated counts)
+   */
+  getSpoolStats() {
+    return this.spool ? this.spool.getStats() : null;
+  }
+
   /**
    * Graceful shutdown
    */
@@ -520,6 +1499,10 @@ class ClickHouseService {
       clearInterval(this.flushTimer);
     }
 
+    if (this.replayTimer) {
+      clearInterval(this.replayTimer);
+    }
+
     // Flush remaining events
     await this.flush();
 
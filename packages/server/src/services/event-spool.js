@@ -0,0 +1,259 @@
+/**
+ * Event Spool - Durable write-ahead buffer for ClickHouse outages
+ * Appends formatted event rows to NDJSON segment files on local disk and
+ * hands them back oldest-first for replay once ClickHouse is reachable again
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+class EventSpool {
+  constructor(config = {}) {
+    this.dir =
+      config.dir ||
+      process.env.CLICKHOUSE_SPOOL_DIR ||
+      path.join(__dirname, "../../data/spool");
+
+    // Hard cap on bytes held on disk across all segments
+    this.maxBytes =
+      config.maxBytes ||
+      parseInt(process.env.CLICKHOUSE_SPOOL_MAX_MB || "256", 10) * 1024 * 1024;
+
+    // Segments are rotated so replay never has to read one huge file
+    this.segmentBytes = config.segmentBytes || 8 * 1024 * 1024;
+
+    this.segments = [];
+    this.currentSegment = null;
+    this.currentSegmentBytes = 0;
+    this.totalBytes = 0;
+    this.sequence = 0;
+
+    // Serialize all disk access so appends never interleave with replay
+    this.lock = Promise.resolve();
+
+    this.metrics = {
+      spooled: 0,
+      replayed: 0,
+      duplicatesSkipped: 0,
+      dropped: 0,
+      replayFailures: 0,
+      lastSpoolAt: null,
+      lastReplayAt: null,
+    };
+
+    this.ready = this.loadExistingSegments();
+  }
+
+  /**
+   * Pick up segments left behind by a previous process
+   */
+  async loadExistingSegments() {
+    try {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      const files = (await fs.promises.readdir(this.dir))
+        .filter((file) => file.endsWith(".ndjson"))
+        .sort();
+
+      for (const file of files) {
+        const stat = await fs.promises.stat(path.join(this.dir, file));
+        this.segments.push(file);
+        this.totalBytes += stat.size;
+      }
+
+      if (files.length > 0) {
+        console.log(
+          `[Spool] Found ${files.length} segment(s) pending replay (${this.totalBytes} bytes)`,
+        );
+      }
+    } catch (error) {
+      console.error("[Spool] Failed to load spool directory:", error.message);
+    }
+  }
+
+  /**
+   * Run a disk operation after every previously queued one
+   */
+  withLock(fn) {
+    const run = this.lock.then(fn, fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Whether any rows are waiting to be replayed
+   */
+  hasPending() {
+    return this.segments.length > 0;
+  }
+
+  /**
+   * Append rows to the newest segment, rotating when it grows too large
+   */
+  async append(rows) {
+    if (!rows || rows.length === 0) return 0;
+    await this.ready;
+
+    return this.withLock(async () => {
+      let written = 0;
+      let buffer = "";
+
+      for (const row of rows) {
+        const line = JSON.stringify(row) + "\n";
+        const lineBytes = Buffer.byteLength(line);
+
+        // BOUNDED: Refuse new rows instead of evicting older ones so replay order holds
+        if (
+          this.totalBytes + Buffer.byteLength(buffer) + lineBytes >
+          this.maxBytes
+        ) {
+          this.metrics.dropped += rows.length - written;
+          console.error(
+            `[Spool] Spool full, DROPPED ${rows.length - written} events`,
+          );
+          break;
+        }
+
+        if (
+          !this.currentSegment ||
+          this.currentSegmentBytes + Buffer.byteLength(buffer) + lineBytes >
+            this.segmentBytes
+        ) {
+          await this.writeBuffer(buffer);
+          buffer = "";
+          this.rotateSegment();
+        }
+
+        buffer += line;
+        written++;
+      }
+
+      await this.writeBuffer(buffer);
+
+      this.metrics.spooled += written;
+      if (written > 0) {
+        this.metrics.lastSpoolAt = new Date();
+      }
+      return written;
+    });
+  }
+
+  /**
+   * Write buffered lines to the current segment
+   */
+  async writeBuffer(buffer) {
+    if (!buffer || !this.currentSegment) return;
+
+    const bytes = Buffer.byteLength(buffer);
+    await fs.promises.appendFile(
+      path.join(this.dir, this.currentSegment),
+      buffer,
+      "utf8",
+    );
+    this.currentSegmentBytes += bytes;
+    this.totalBytes += bytes;
+  }
+
+  /**
+   * Start a new segment file (names sort in creation order)
+   */
+  rotateSegment() {
+    const name = `events-${Date.now()}-${String(this.sequence++).padStart(6, "0")}.ndjson`;
+    this.segments.push(name);
+    this.currentSegment = name;
+    this.currentSegmentBytes = 0;
+  }
+
+  /**
+   * Replay spooled rows oldest-first through the given sink.
+   * sink(rows) must resolve once the rows are durably stored, and may
+   * return the subset it actually inserted (the rest are duplicates).
+   * Stops at the first failure and keeps unreplayed rows on disk.
+   */
+  async replay(sink, chunkSize = 1000) {
+    await this.ready;
+
+    return this.withLock(async () => {
+      let replayed = 0;
+
+      while (this.segments.length > 0) {
+        const segment = this.segments[0];
+        const filePath = path.join(this.dir, segment);
+
+        // Never replay a segment that is still being appended to
+        if (segment === this.currentSegment) {
+          this.currentSegment = null;
+          this.currentSegmentBytes = 0;
+        }
+
+        let lines;
+        try {
+          const content = await fs.promises.readFile(filePath, "utf8");
+          lines = content.split("\n").filter(Boolean);
+        } catch (error) {
+          if (error.code !== "ENOENT") throw error;
+          lines = [];
+        }
+
+        const segmentBytes = lines.reduce(
+          (sum, line) => sum + Buffer.byteLength(line) + 1,
+          0,
+        );
+
+        for (let offset = 0; offset < lines.length; offset += chunkSize) {
+          const rows = [];
+          for (const line of lines.slice(offset, offset + chunkSize)) {
+            try {
+              rows.push(JSON.parse(line));
+            } catch {
+              // Torn write from a crash - nothing to recover
+            }
+          }
+
+          try {
+            const inserted = await sink(rows);
+            const insertedCount = Array.isArray(inserted)
+              ? inserted.length
+              : rows.length;
+            this.metrics.replayed += insertedCount;
+            this.metrics.duplicatesSkipped += rows.length - insertedCount;
+            replayed += insertedCount;
+          } catch (error) {
+            // Keep whatever is left of this segment for the next attempt
+            const remaining = lines.slice(offset);
+            const remainingContent = remaining.join("\n") + "\n";
+            await fs.promises.writeFile(filePath, remainingContent, "utf8");
+            this.totalBytes -=
+              segmentBytes - Buffer.byteLength(remainingContent);
+            this.metrics.replayFailures++;
+            console.error(
+              `[Spool] Replay stopped, ${remaining.length} events kept in ${segment}:`,
+              error.message,
+            );
+            return replayed;
+          }
+        }
+
+        await fs.promises.rm(filePath, { force: true });
+        this.segments.shift();
+        this.totalBytes = Math.max(0, this.totalBytes - segmentBytes);
+      }
+
+      this.metrics.lastReplayAt = new Date();
+      return replayed;
+    });
+  }
+
+  /**
+   * Get spool metrics
+   */
+  getStats() {
+    return {
+      ...this.metrics,
+      pendingSegments: this.segments.length,
+      pendingBytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+    };
+  }
+}
+
+module.exports = EventSpool;
@@ -5,6 +5,60 @@
 
 const { Pool } = require("pg");
 
+// Admin user columns safe to return from the API (no credential hashes)
+const ADMIN_USER_COLUMNS = `admin_id, username, role, api_key_prefix,
+  password_hash IS NOT NULL AS has_password, enabled, created_by,
+  last_used_at, created_at, updated_at`;
+
+// Advisory lock key serializing audit log appends (keeps the hash chain linear)
+const AUDIT_LOG_LOCK = 7240301;
+
+// WHERE clause and values for PostgresService.searchSessions filters
+function sessionFilterClause(filters) {
+  const conditions = ["1=1"];
+  const values = [];
+
+  // condition(param) builds the SQL for the next placeholder
+  const add = (condition, value) => {
+    values.push(value);
+    conditions.push(condition(`$${values.length}`));
+  };
+  // A single value or a list of values
+  const addAny = (column, value) =>
+    add(
+      (p) =>
+        Array.isArray(value) ? `${column} = ANY(${p})` : `${column} = ${p}`,
+      value,
+    );
+
+  if (filters.ipAddress) add((p) => `ip_address = ${p}`, filters.ipAddress);
+  if (filters.country) addAny("country_code", filters.country);
+  if (filters.mode) addAny("mode", filters.mode);
+  if (filters.minRiskScore !== undefined) {
+    add((p) => `risk_score >= ${p}`, filters.minRiskScore);
+  }
+  if (filters.maxRiskScore !== undefined) {
+    add((p) => `risk_score <= ${p}`, filters.maxRiskScore);
+  }
+  if (filters.isp) add((p) => `isp ILIKE '%' || ${p} || '%'`, filters.isp);
+  if (filters.tags) add((p) => `tags ?| ${p}`, filters.tags);
+  if (filters.lastSeenAfter) {
+    add((p) => `last_seen >= ${p}`, filters.lastSeenAfter);
+  }
+  if (filters.lastSeenBefore) {
+    add((p) => `last_seen < ${p}`, filters.lastSeenBefore);
+  }
+  if (filters.isBot !== undefined) add((p) => `is_bot = ${p}`, filters.isBot);
+  if (filters.connected !== undefined) {
+    add((p) => `connected = ${p}`, filters.connected);
+  }
+  if (filters.sessionHashes) {
+    add((p) => `session_hash = ANY(${p})`, filters.sessionHashes);
+  }
+
+  return { where: conditions.join(" AND "), values };
+}
+
 class PostgresService {
   constructor(config = {}) {
     this.pool = new Pool({
@@ -188,22 +242,51 @@ class PostgresService {
   }
 
   /**
-   * Update risk score
+   * Update risk score (and its per-signal breakdown, when given)
    */
-  async updateRiskScore(sessionHash, riskScore, isBot = false) {
+  async updateRiskScore(
+    sessionHash,
+    riskScore,
+    isBot = false,
+    breakdown = null,
+  ) {
     const query = `
       UPDATE sessions
-      SET risk_score = $1, is_bot = $2, updated_at = NOW()
+      SET risk_score = $1, is_bot = $2,
+          risk_breakdown = COALESCE($4, risk_breakdown),
+          risk_scored_at = NOW(), updated_at = NOW()
       WHERE session_hash = $3
     `;
 
     try {
-      await this.pool.query(query, [riskScore, isBot, sessionHash]);
+      await this.pool.query(query, [
+        riskScore,
+        isBot,
+        sessionHash,
+        breakdown ? JSON.stringify(breakdown) : null,
+      ]);
     } catch (error) {
       console.error("[Postgres] Update risk score error:", error);
     }
   }
 
+  /**
+   * Store handshake consistency check results
+   */
+  async updateConsistencyChecks(sessionHash, checks) {
+    const query = `
+      UPDATE sessions
+      SET consistency_checks = $1, updated_at = NOW()
+      WHERE session_hash = $2
+    `;
+
+    try {
+      await this.pool.query(query, [JSON.stringify(checks), sessionHash]);
+    } catch (error) {
+      console.error("[Postgres] Update consistency checks error:", error);
+    }
+  }
+
   /**
    * Increment rate limit violations
    */
@@ -280,9 +363,9 @@ class PostgresService {
     const query = `
       INSERT INTO command_history (
         command_id, session_id, command_type, command_payload,
-        admin_id, admin_ip, status
+        admin_id, admin_ip, status, max_retries, expires_at
       )
-      SELECT $1, session_id, $2, $3, $4, $5, $6
+      SELECT $1, session_id, $2, $3, $4, $5, $6, $8, $9
       FROM sessions WHERE session_hash = $7
       RETURNING *
     `;
@@ -295,6 +378,8 @@ class PostgresService {
       command.adminIp || "127.0.0.1",
       command.status || "pending",
       command.sessionHash,
+      command.maxRetries ?? 0,
+      command.expiresAt || null,
     ];
 
     try {
@@ -308,24 +393,56 @@ class PostgresService {
 
   /**
    * Update command status
+   * pending -> sent -> acknowledged | failed | expired; a late ack may still
+   * overwrite failed/expired because the client did execute the command
    */
-  async updateCommandStatus(commandId, status, result = null) {
+  async updateCommandStatus(commandId, status, result = null, options = {}) {
     const query = `
       UPDATE command_history
       SET 
-        status = $1,
-        error_message = $2,
-        acknowledged_at = NOW()
+        status = $1::varchar,
+        error_message = COALESCE($2, error_message),
+        sent_at = CASE WHEN $1::varchar = 'sent' THEN NOW() ELSE sent_at END,
+        acknowledged_at = CASE
+          WHEN $1::varchar IN ('acknowledged', 'failed') THEN NOW()
+          ELSE acknowledged_at
+        END,
+        attempts = COALESCE($4, attempts)
       WHERE command_id = $3
+        AND (status IN ('pending', 'sent') OR $1::varchar = 'acknowledged')
     `;
 
     try {
-      await this.pool.query(query, [status, result?.error || null, commandId]);
+      await this.pool.query(query, [
+        status,
+        result?.error || null,
+        commandId,
+        options.attempts ?? null,
+      ]);
     } catch (error) {
       console.error("[Postgres] Update command status error:", error);
     }
   }
 
+  /**
+   * Expire commands whose delivery window passed without an ack
+   */
+  async expireStaleCommands() {
+    const query = `
+      UPDATE command_history
+      SET status = 'expired', error_message = 'Command expired before acknowledgement'
+      WHERE status IN ('pending', 'sent') AND expires_at < NOW()
+    `;
+
+    try {
+      const result = await this.pool.query(query);
+      return result.rowCount;
+    } catch (error) {
+      console.error("[Postgres] Expire stale commands error:", error);
+      return 0;
+    }
+  }
+
   /**
    * Get command history for session
    */
@@ -390,49 +507,502 @@ class PostgresService {
   }
 
   /**
-   * Search sessions
+   * Search sessions (most recently seen first)
+   * Filters: ipAddress, country and mode (a value or a list), minRiskScore,
+   * maxRiskScore, isp (substring), tags (any of), lastSeenAfter,
+   * lastSeenBefore, isBot, connected, sessionHashes; plus limit (default 100)
+   * Throws on query errors, so a failed lookup never reads as "no matches"
    */
   async searchSessions(filters = {}) {
-    let query = "SELECT * FROM sessions WHERE 1=1";
+    const { where, values } = sessionFilterClause(filters);
+    values.push(filters.limit || 100);
+
+    const query = `
+      SELECT * FROM sessions
+      WHERE ${where}
+      ORDER BY last_seen DESC
+      LIMIT $${values.length}
+    `;
+
+    const result = await this.pool.query(query, values);
+    return result.rows;
+  }
+
+  /**
+   * Count sessions matching searchSessions filters
+   */
+  async countSessions(filters = {}) {
+    const { where, values } = sessionFilterClause(filters);
+
+    const result = await this.pool.query(
+      `SELECT COUNT(*)::int AS count FROM sessions WHERE ${where}`,
+      values,
+    );
+    return result.rows[0].count;
+  }
+
+  /**
+   * Get enabled auto-response rules in evaluation order
+   */
+  async getEnabledRules() {
+    const query = `
+      SELECT * FROM auto_response_rules
+      WHERE enabled = true
+      ORDER BY priority ASC, created_at ASC
+    `;
+
+    try {
+      const result = await this.pool.query(query);
+      return result.rows;
+    } catch (error) {
+      console.error("[Postgres] Get enabled rules error:", error);
+      return [];
+    }
+  }
+
+  /**
+   * List all auto-response rules
+   */
+  async listRules() {
+    const query = `
+      SELECT r.*,
+        (SELECT COUNT(*) FROM rule_matches m WHERE m.rule_id = r.rule_id) AS match_count
+      FROM auto_response_rules r
+      ORDER BY r.priority ASC, r.created_at ASC
+    `;
+
+    const result = await this.pool.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Get rule by id
+   */
+  async getRule(ruleId) {
+    const query = `SELECT * FROM auto_response_rules WHERE rule_id = $1`;
+
+    const result = await this.pool.query(query, [ruleId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create auto-response rule
+   */
+  async createRule(rule) {
+    const query = `
+      INSERT INTO auto_response_rules (
+        name, description, enabled, dry_run, priority,
+        triggers, conditions, action, cooldown_seconds, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `;
+
+    const values = [
+      rule.name,
+      rule.description || null,
+      rule.enabled !== undefined ? rule.enabled : true,
+      rule.dry_run || false,
+      rule.priority ?? 100,
+      JSON.stringify(rule.triggers || ["handshake", "batch", "risk_update"]),
+      JSON.stringify(rule.conditions),
+      JSON.stringify(rule.action),
+      rule.cooldown_seconds ?? 300,
+      rule.created_by || null,
+    ];
+
+    const result = await this.pool.query(query, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Update auto-response rule (only provided fields)
+   */
+  async updateRule(ruleId, changes) {
+    const columns = [
+      "name",
+      "description",
+      "enabled",
+      "dry_run",
+      "priority",
+      "triggers",
+      "conditions",
+      "action",
+      "cooldown_seconds",
+    ];
+    const jsonColumns = ["triggers", "conditions", "action"];
+
+    const sets = [];
     const values = [];
     let paramCount = 1;
 
-    if (filters.ipAddress) {
-      query += ` AND ip_address = $${paramCount++}`;
-      values.push(filters.ipAddress);
+    for (const column of columns) {
+      if (changes[column] === undefined) continue;
+      sets.push(`${column} = $${paramCount++}`);
+      values.push(
+        jsonColumns.includes(column)
+          ? JSON.stringify(changes[column])
+          : changes[column],
+      );
     }
 
-    if (filters.country) {
-      query += ` AND country_code = $${paramCount++}`;
-      values.push(filters.country);
-    }
+    if (sets.length === 0) return this.getRule(ruleId);
+
+    values.push(ruleId);
+    const query = `
+      UPDATE auto_response_rules
+      SET ${sets.join(", ")}
+      WHERE rule_id = $${paramCount}
+      RETURNING *
+    `;
+
+    const result = await this.pool.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete auto-response rule
+   */
+  async deleteRule(ruleId) {
+    const query = `DELETE FROM auto_response_rules WHERE rule_id = $1 RETURNING *`;
+
+    const result = await this.pool.query(query, [ruleId]);
+    return result.rows[0] || null;
+  }
 
-    if (filters.minRiskScore !== undefined) {
-      query += ` AND risk_score >= $${paramCount++}`;
-      values.push(filters.minRiskScore);
+  /**
+   * Record a rule match (dispatched or dry-run)
+   */
+  async logRuleMatch(match) {
+    const query = `
+      INSERT INTO rule_matches (
+        rule_id, session_hash, trigger, dry_run, command_id, facts
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+    `;
+
+    try {
+      await this.pool.query(query, [
+        match.ruleId,
+        match.sessionHash,
+        match.trigger,
+        match.dryRun,
+        match.commandId || null,
+        JSON.stringify(match.facts || {}),
+      ]);
+    } catch (error) {
+      console.error("[Postgres] Log rule match error:", error);
     }
+  }
+
+  /**
+   * Get recent matches for a rule
+   */
+  async getRuleMatches(ruleId, limit = 50) {
+    const query = `
+      SELECT * FROM rule_matches
+      WHERE rule_id = $1
+      ORDER BY matched_at DESC
+      LIMIT $2
+    `;
 
-    if (filters.mode) {
-      query += ` AND mode = $${paramCount++}`;
-      values.push(filters.mode);
+    try {
+      const result = await this.pool.query(query, [ruleId, limit]);
+      return result.rows;
+    } catch (error) {
+      console.error("[Postgres] Get rule matches error:", error);
+      return [];
     }
+  }
 
-    if (filters.isBot !== undefined) {
-      query += ` AND is_bot = $${paramCount++}`;
-      values.push(filters.isBot);
+  /**
+   * Record a rate-limit admin action (ban, unban, override)
+   */
+  async logRateLimitAction(entry) {
+    const query = `
+      INSERT INTO rate_limit_actions (
+        action, target_type, target, reason, params, admin_id, admin_ip
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    try {
+      const result = await this.pool.query(query, [
+        entry.action,
+        entry.targetType,
+        entry.target,
+        entry.reason || null,
+        JSON.stringify(entry.params || {}),
+        entry.adminId || "system",
+        entry.adminIp || null,
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      console.error("[Postgres] Log rate-limit action error:", error);
+      throw error;
     }
+  }
 
-    query += " ORDER BY last_seen DESC LIMIT 100";
+  /**
+   * Get recent rate-limit admin actions, optionally for one target
+   */
+  async getRateLimitActions(target = null, limit = 100) {
+    const query = `
+      SELECT * FROM rate_limit_actions
+      WHERE ($1::varchar IS NULL OR target = $1)
+      ORDER BY created_at DESC
+      LIMIT $2
+    `;
 
     try {
-      const result = await this.pool.query(query, values);
+      const result = await this.pool.query(query, [target, limit]);
       return result.rows;
     } catch (error) {
-      console.error("[Postgres] Search sessions error:", error);
+      console.error("[Postgres] Get rate-limit actions error:", error);
       return [];
     }
   }
 
+  /**
+   * List admin users
+   */
+  async listAdminUsers() {
+    const query = `
+      SELECT ${ADMIN_USER_COLUMNS} FROM admin_users
+      ORDER BY username ASC
+    `;
+
+    const result = await this.pool.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Get admin user by id (without credential hashes)
+   */
+  async getAdminUser(adminId) {
+    const query = `SELECT ${ADMIN_USER_COLUMNS} FROM admin_users WHERE admin_id = $1`;
+
+    const result = await this.pool.query(query, [adminId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find an enabled admin user by API key hash
+   */
+  async getAdminUserByApiKeyHash(apiKeyHash) {
+    const query = `
+      SELECT * FROM admin_users
+      WHERE api_key_hash = $1 AND enabled = true
+    `;
+
+    const result = await this.pool.query(query, [apiKeyHash]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find an enabled admin user by username (includes the password hash)
+   */
+  async getAdminUserByUsername(username) {
+    const query = `
+      SELECT * FROM admin_users
+      WHERE username = $1 AND enabled = true
+    `;
+
+    const result = await this.pool.query(query, [username]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create admin user (credentials already hashed)
+   */
+  async createAdminUser(user) {
+    const query = `
+      INSERT INTO admin_users (
+        username, role, api_key_hash, api_key_prefix, password_hash, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${ADMIN_USER_COLUMNS}
+    `;
+
+    const values = [
+      user.username,
+      user.role,
+      user.api_key_hash || null,
+      user.api_key_prefix || null,
+      user.password_hash || null,
+      user.created_by || null,
+    ];
+
+    const result = await this.pool.query(query, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Update admin user (only provided fields)
+   */
+  async updateAdminUser(adminId, changes) {
+    const columns = [
+      "role",
+      "enabled",
+      "api_key_hash",
+      "api_key_prefix",
+      "password_hash",
+    ];
+
+    const sets = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const column of columns) {
+      if (changes[column] === undefined) continue;
+      sets.push(`${column} = $${paramCount++}`);
+      values.push(changes[column]);
+    }
+
+    if (sets.length === 0) return this.getAdminUser(adminId);
+
+    values.push(adminId);
+    const query = `
+      UPDATE admin_users
+      SET ${sets.join(", ")}
+      WHERE admin_id = $${paramCount}
+      RETURNING ${ADMIN_USER_COLUMNS}
+    `;
+
+    const result = await this.pool.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record that an admin user authenticated (non-blocking)
+   */
+  touchAdminUser(adminId) {
+    this.pool
+      .query(
+        "UPDATE admin_users SET last_used_at = NOW() WHERE admin_id = $1",
+        [adminId],
+      )
+      .catch((error) => {
+        console.error("[Postgres] Touch admin user error:", error.message);
+      });
+  }
+
+  /**
+   * Append an audit entry. Entries are chained, so appends are serialized
+   * with an advisory lock; hashEntry(prevHash, entry) computes entry_hash.
+   */
+  async appendAuditEntry(entry, hashEntry) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      await client.query("SELECT pg_advisory_xact_lock($1)", [AUDIT_LOG_LOCK]);
+
+      const last = await client.query(
+        "SELECT entry_hash FROM admin_audit_log ORDER BY audit_id DESC LIMIT 1",
+      );
+      const prevHash = last.rows[0]?.entry_hash || null;
+      const entryHash = hashEntry(prevHash, entry);
+
+      const result = await client.query(
+        `
+        INSERT INTO admin_audit_log (
+          created_at, actor, actor_role, actor_ip, action, target_type,
+          target, session_hashes, before_state, after_state, details,
+          prev_hash, entry_hash
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING *
+      `,
+        [
+          entry.created_at,
+          entry.actor,
+          entry.actor_role,
+          entry.actor_ip,
+          entry.action,
+          entry.target_type,
+          entry.target,
+          entry.session_hashes,
+          JSON.stringify(entry.before_state),
+          JSON.stringify(entry.after_state),
+          JSON.stringify(entry.details),
+          prevHash,
+          entryHash,
+        ],
+      );
+
+      await client.query("COMMIT");
+      return result.rows[0];
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {});
+      console.error("[Postgres] Append audit entry error:", error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Search the audit log, newest first
+   * Filters: actor, session, action (exact, or a prefix like "rule"), from,
+   * to, before (audit_id, for paging), limit
+   */
+  async getAuditEntries(filters = {}) {
+    const conditions = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (filters.actor) {
+      conditions.push(`actor = $${paramCount++}`);
+      values.push(filters.actor);
+    }
+    if (filters.session) {
+      conditions.push(`$${paramCount++} = ANY(session_hashes)`);
+      values.push(filters.session);
+    }
+    if (filters.action) {
+      conditions.push(
+        `(action = $${paramCount} OR starts_with(action, $${paramCount} || '.'))`,
+      );
+      paramCount++;
+      values.push(filters.action);
+    }
+    if (filters.from) {
+      conditions.push(`created_at >= $${paramCount++}`);
+      values.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push(`created_at < $${paramCount++}`);
+      values.push(filters.to);
+    }
+    if (filters.before) {
+      conditions.push(`audit_id < $${paramCount++}`);
+      values.push(filters.before);
+    }
+
+    values.push(filters.limit || 100);
+    const query = `
+      SELECT * FROM admin_audit_log
+      ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY audit_id DESC
+      LIMIT $${paramCount}
+    `;
+
+    const result = await this.pool.query(query, values);
+    return result.rows;
+  }
+
+  /**
+   * Audit entries in chain order, after a given audit_id
+   */
+  async getAuditChain(afterId = 0, limit = 1000) {
+    const query = `
+      SELECT * FROM admin_audit_log
+      WHERE audit_id > $1
+      ORDER BY audit_id ASC
+      LIMIT $2
+    `;
+
+    const result = await this.pool.query(query, [afterId, limit]);
+    return result.rows;
+  }
+
   /**
    * Health check
    */
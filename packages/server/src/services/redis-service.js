@@ -273,6 +273,202 @@ class RedisService {
     return await this.client.zrange(key, 0, -1);
   }
 
+  /**
+   * Register which server node owns a session's WebSocket
+   */
+  async registerSessionNode(sessionHash, nodeId, ttl = 120) {
+    const key = `${this.config.keyPrefix}registry:session:${sessionHash}`;
+    await this.client.setex(key, ttl, nodeId);
+  }
+
+  /**
+   * Refresh registry entries for every session owned by a node
+   */
+  async refreshSessionNodes(sessionHashes, nodeId, ttl = 120) {
+    if (sessionHashes.length === 0) return;
+
+    const pipeline = this.client.pipeline();
+    sessionHashes.forEach(sessionHash => {
+      pipeline.setex(`${this.config.keyPrefix}registry:session:${sessionHash}`, ttl, nodeId);
+    });
+    await pipeline.exec();
+  }
+
+  /**
+   * Remove a registry entry, but only if this node still owns it
+   * (the client may already have reconnected to another node)
+   */
+  async unregisterSessionNode(sessionHash, nodeId) {
+    const key = `${this.config.keyPrefix}registry:session:${sessionHash}`;
+    await this.client.eval(
+      "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0",
+      1, key, nodeId
+    );
+  }
+
+  /**
+   * Get the node that owns a session
+   */
+  async getSessionNode(sessionHash) {
+    const key = `${this.config.keyPrefix}registry:session:${sessionHash}`;
+    return await this.client.get(key);
+  }
+
+  /**
+   * Publish a command to the node that owns the session.
+   * Falls back to the shared channel when no owner is registered.
+   */
+  async publishCommand(sessionHash, command, extra = {}) {
+    const nodeId = await this.getSessionNode(sessionHash);
+    const channel = nodeId ? `traffic:commands:${nodeId}` : 'traffic:commands';
+
+    await this.publish(channel, { sessionHash, command, ...extra });
+    return { nodeId };
+  }
+
+  /**
+   * Store (or update) a command awaiting acknowledgement
+   */
+  async savePendingCommand(sessionHash, entry, ttl = 3600) {
+    const key = `${this.config.keyPrefix}pending:${sessionHash}`;
+    await this.client.hset(key, entry.command.id, JSON.stringify(entry));
+
+    // Never shorten the TTL that another, longer-lived command needs
+    const currentTtl = await this.client.ttl(key);
+    if (currentTtl < ttl) {
+      await this.client.expire(key, Math.max(1, ttl));
+    }
+  }
+
+  /**
+   * Get commands awaiting acknowledgement, oldest first
+   */
+  async getPendingCommands(sessionHash) {
+    const key = `${this.config.keyPrefix}pending:${sessionHash}`;
+    const entries = await this.client.hvals(key);
+
+    return entries
+      .map(entry => JSON.parse(entry))
+      .sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+  }
+
+  /**
+   * Remove an acknowledged, failed or expired command
+   */
+  async removePendingCommand(sessionHash, commandId) {
+    const key = `${this.config.keyPrefix}pending:${sessionHash}`;
+    await this.client.hdel(key, commandId);
+  }
+
+  /**
+   * Store a connection's resumable state under its resume token
+   */
+  async saveResumeState(token, state, ttl = 300) {
+    const key = `${this.config.keyPrefix}resume:${token}`;
+    await this.client.setex(key, ttl, JSON.stringify(state));
+  }
+
+  /**
+   * Read and delete resumable state (tokens are single-use)
+   */
+  async takeResumeState(token) {
+    const key = `${this.config.keyPrefix}resume:${token}`;
+    const [[, data]] = await this.client.multi().get(key).del(key).exec();
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Store an admin refresh token (by hash) until it is used or expires
+   */
+  async saveRefreshToken(tokenHash, data, ttl) {
+    const key = `${this.config.keyPrefix}refresh:${tokenHash}`;
+    await this.client.setex(key, ttl, JSON.stringify(data));
+  }
+
+  /**
+   * Read an admin refresh token and let it expire within graceSeconds, so
+   * requests racing to refresh with the same token all succeed but the
+   * token cannot be used after that (EXPIRE LT needs Redis 7)
+   */
+  async useRefreshToken(tokenHash, graceSeconds) {
+    const key = `${this.config.keyPrefix}refresh:${tokenHash}`;
+    const [[, data]] = await this.client.multi().get(key).expire(key, graceSeconds, 'LT').exec();
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Revoke an admin refresh token
+   */
+  async deleteRefreshToken(tokenHash) {
+    await this.client.del(`${this.config.keyPrefix}refresh:${tokenHash}`);
+  }
+
+  /**
+   * Store (or update) a batch job record so any node can report its progress
+   */
+  async saveBatchJob(jobId, job, ttl = 86400) {
+    const key = `${this.config.keyPrefix}batch:${jobId}`;
+    await this.client.setex(key, ttl, JSON.stringify(job));
+  }
+
+  /**
+   * Get a batch job record
+   */
+  async getBatchJob(jobId) {
+    const data = await this.client.get(`${this.config.keyPrefix}batch:${jobId}`);
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Publish node heartbeat with its local stats
+   */
+  async heartbeatNode(nodeId, stats, ttl = 90) {
+    const key = `${this.config.keyPrefix}nodes`;
+    const statsKey = `${this.config.keyPrefix}node:${nodeId}`;
+
+    await this.client.zadd(key, Date.now(), nodeId);
+    await this.client.setex(statsKey, ttl, JSON.stringify({
+      nodeId,
+      ...stats,
+      updatedAt: Date.now()
+    }));
+  }
+
+  /**
+   * Remove a node from the cluster registry
+   */
+  async removeNode(nodeId) {
+    await this.client.zrem(`${this.config.keyPrefix}nodes`, nodeId);
+    await this.client.del(`${this.config.keyPrefix}node:${nodeId}`);
+  }
+
+  /**
+   * Get stats for every live node
+   */
+  async getClusterNodes(maxAge = 90000) {
+    const key = `${this.config.keyPrefix}nodes`;
+
+    // Drop nodes that stopped sending heartbeats
+    await this.client.zremrangebyscore(key, 0, Date.now() - maxAge);
+    const nodeIds = await this.client.zrange(key, 0, -1);
+    if (nodeIds.length === 0) return [];
+
+    const values = await this.client.mget(
+      nodeIds.map(nodeId => `${this.config.keyPrefix}node:${nodeId}`)
+    );
+
+    return values.filter(Boolean).map(value => JSON.parse(value));
+  }
+
+  /**
+   * Claim a cooldown window (returns false while one is active)
+   */
+  async acquireCooldown(key, ttl) {
+    const fullKey = `${this.config.keyPrefix}cooldown:${key}`;
+    const result = await this.client.set(fullKey, Date.now(), 'EX', ttl, 'NX');
+    return result === 'OK';
+  }
+
   /**
    * Pub/Sub for real-time events
    */
@@ -0,0 +1,299 @@
+/**
+ * Batch Jobs - One action for every session matching a filter
+ * A job finds its sessions with PostgresService.searchSessions, then builds
+ * and dispatches the action for each of them, a few at a time. The job
+ * record (status, counts and per-session outcomes) is kept in Redis so any
+ * node can report progress while it runs. Example filter:
+ *
+ *   { "country": ["US", "CA"], "min_risk": 70, "mode": "normal",
+ *     "last_seen_after": "2024-01-01T00:00:00Z" }
+ */
+
+const net = require("net");
+const { v4: uuidv4 } = require("uuid");
+const { buildCommand, isValidAction } = require("./commands");
+
+const MODES = ["normal", "upspin", "downspin", "terminated"];
+
+// Request filter field -> searchSessions filter
+const FILTER_FIELDS = {
+  country: "country",
+  mode: "mode",
+  min_risk: "minRiskScore",
+  max_risk: "maxRiskScore",
+  isp: "isp",
+  tags: "tags",
+  last_seen_after: "lastSeenAfter",
+  last_seen_before: "lastSeenBefore",
+  is_bot: "isBot",
+  connected: "connected",
+  ip_address: "ipAddress",
+  session_hashes: "sessionHashes",
+};
+
+class BatchJobs {
+  constructor(redis, postgres, commandDelivery, options = {}) {
+    this.redis = redis;
+    this.postgres = postgres;
+    this.commandDelivery = commandDelivery;
+
+    this.options = {
+      concurrency:
+        options.concurrency ||
+        parseInt(process.env.BATCH_CONCURRENCY || "10", 10),
+      maxSessions:
+        options.maxSessions ||
+        parseInt(process.env.BATCH_MAX_SESSIONS || "5000", 10),
+      jobTtl: options.jobTtl || 86400, // seconds a finished job stays pollable
+      saveInterval: options.saveInterval || 1000, // ms between progress saves
+    };
+  }
+
+  /**
+   * searchSessions filters for a request filter, with validation errors
+   */
+  parseFilter(filter) {
+    const errors = [];
+    const filters = {};
+
+    if (!filter || typeof filter !== "object" || Array.isArray(filter)) {
+      return { errors: ["filter must be an object"], filters };
+    }
+
+    const list = (value) => (Array.isArray(value) ? value : [value]);
+
+    for (const [field, raw] of Object.entries(filter)) {
+      if (!FILTER_FIELDS[field]) {
+        errors.push(`unknown filter field: ${field}`);
+        continue;
+      }
+
+      let value = raw;
+
+      switch (field) {
+        case "country":
+          if (!list(value).every((code) => /^[A-Za-z]{2}$/.test(code))) {
+            errors.push("country must be two-letter codes");
+          }
+          value = list(value).map((code) => String(code).toUpperCase());
+          break;
+        case "mode":
+          if (!list(value).every((mode) => MODES.includes(mode))) {
+            errors.push(`mode must be one of ${MODES.join(", ")}`);
+          }
+          value = list(value);
+          break;
+        case "min_risk":
+        case "max_risk":
+          value = Number(value);
+          if (!(value >= 0 && value <= 100)) {
+            errors.push(`${field} must be between 0 and 100`);
+          }
+          break;
+        case "isp":
+        case "ip_address":
+          if (typeof value !== "string" || value.length === 0) {
+            errors.push(`${field} must be a string`);
+          } else if (field === "ip_address" && !net.isIP(value)) {
+            errors.push("ip_address must be an IP address");
+          }
+          break;
+        case "tags":
+          value = list(value);
+          if (!value.every((tag) => typeof tag === "string")) {
+            errors.push("tags must be strings");
+          }
+          break;
+        case "last_seen_after":
+        case "last_seen_before":
+          value = new Date(value);
+          if (isNaN(value.getTime())) {
+            errors.push(`${field} must be a date`);
+          }
+          break;
+        case "is_bot":
+        case "connected":
+          if (typeof value !== "boolean") {
+            errors.push(`${field} must be a boolean`);
+          }
+          break;
+        case "session_hashes":
+          if (
+            !Array.isArray(value) ||
+            !value.every((hash) => typeof hash === "string")
+          ) {
+            errors.push("session_hashes must be a list of session hashes");
+          }
+          break;
+      }
+
+      filters[FILTER_FIELDS[field]] = value;
+    }
+
+    if (Object.keys(filter).length === 0) {
+      errors.push("filter needs at least one field");
+    }
+
+    return { errors, filters };
+  }
+
+  /**
+   * Validation errors for an action such as { type: "downspin", latency_ms: 3000 }
+   */
+  validateAction(action) {
+    if (!action || !isValidAction(action.type)) {
+      return ["action must be upspin, downspin, terminate or a command type"];
+    }
+
+    try {
+      buildCommand(action);
+      return [];
+    } catch (error) {
+      return [error.message];
+    }
+  }
+
+  /**
+   * How many sessions a filter matches, with a few of them
+   */
+  async preview(filters, sampleSize = 10) {
+    const [count, sample] = await Promise.all([
+      this.postgres.countSessions(filters),
+      this.postgres.searchSessions({ ...filters, limit: sampleSize }),
+    ]);
+
+    return {
+      count,
+      sample: sample.map((session) => ({
+        sessionHash: session.session_hash,
+        country: session.country_code,
+        mode: session.mode,
+        riskScore: Number(session.risk_score),
+        lastSeen: session.last_seen,
+      })),
+    };
+  }
+
+  /**
+   * Find the sessions for a job and save its record; nothing is dispatched
+   * until run(). Returns the job record and its sessions.
+   * meta: CommandDelivery dispatch options (adminId, adminIp, maxRetries...)
+   */
+  async create({ filters, action, meta = {} }) {
+    const sessions = await this.postgres.searchSessions({
+      ...filters,
+      limit: this.options.maxSessions,
+    });
+
+    const job = {
+      jobId: uuidv4(),
+      status: "running",
+      action,
+      filters,
+      createdBy: meta.adminId || null,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      total: sessions.length,
+      counts: { dispatched: 0, failed: 0 },
+      results: [],
+    };
+    await this.save(job);
+
+    return { job, sessions };
+  }
+
+  /**
+   * Dispatch to every session, at most `concurrency` at a time. Resolves
+   * with the finished record once every session has an outcome.
+   */
+  async run(job, sessions, concurrency, meta = {}) {
+    const workers = Math.max(
+      1,
+      Math.min(parseInt(concurrency, 10) || this.options.concurrency, 50),
+    );
+    let next = 0;
+    let savedAt = Date.now();
+
+    const worker = async () => {
+      while (next < sessions.length) {
+        const result = await this.apply(sessions[next++], job.action, meta);
+        job.results.push(result);
+        job.counts[result.status === "failed" ? "failed" : "dispatched"]++;
+
+        if (Date.now() - savedAt >= this.options.saveInterval) {
+          savedAt = Date.now();
+          await this.save(job).catch((error) => {
+            console.error(
+              `[Batch] Failed to save job ${job.jobId}:`,
+              error.message,
+            );
+          });
+        }
+      }
+    };
+
+    // apply() and the progress saves never reject, so every session gets an
+    // outcome even when some dispatches or saves fail
+    await Promise.all(
+      Array.from({ length: Math.min(workers, sessions.length) }, worker),
+    );
+
+    // Failed only when nothing could be dispatched
+    job.status =
+      job.total > 0 && job.counts.dispatched === 0 ? "failed" : "completed";
+    job.finishedAt = new Date().toISOString();
+    await this.save(job).catch((error) => {
+      console.error(`[Batch] Failed to save job ${job.jobId}:`, error.message);
+    });
+
+    console.log(
+      `[Batch] Job ${job.jobId} ${job.status}: ${job.counts.dispatched} dispatched, ${job.counts.failed} failed`,
+    );
+    return job;
+  }
+
+  /**
+   * Build, apply and dispatch the action for one session
+   */
+  async apply(session, action, meta) {
+    const sessionHash = session.session_hash;
+
+    try {
+      const { command, mode, latency } = buildCommand(action);
+      if (mode) {
+        await this.postgres.updateSessionMode(sessionHash, mode, latency);
+      }
+      const delivery = await this.commandDelivery.dispatch(
+        sessionHash,
+        command,
+        meta,
+      );
+
+      return {
+        sessionHash,
+        status: delivery.status,
+        commandId: command.id,
+        // Only for actions that change sessions.mode
+        ...(mode ? { previousMode: session.mode, mode } : {}),
+      };
+    } catch (error) {
+      return { sessionHash, status: "failed", error: error.message };
+    }
+  }
+
+  /**
+   * Job record by id, or null once it has expired
+   */
+  async get(jobId) {
+    return this.redis.getBatchJob(jobId);
+  }
+
+  /**
+   * Store a job record, pollable for jobTtl seconds after the last save
+   */
+  async save(job) {
+    await this.redis.saveBatchJob(job.jobId, job, this.options.jobTtl);
+  }
+}
+
+module.exports = BatchJobs;
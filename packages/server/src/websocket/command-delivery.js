@@ -0,0 +1,259 @@
+/**
+ * Command Delivery - Guaranteed at-least-once command dispatch
+ * Commands are stored per session in Redis until the client acknowledges them,
+ * flushed on the next handshake, and retried when an ack does not arrive in time.
+ *
+ * command_history.status: pending -> sent -> acknowledged | failed | expired
+ */
+
+class CommandDelivery {
+  constructor(redis, postgres, options = {}) {
+    this.redis = redis;
+    this.postgres = postgres;
+    // Optional: mirrors dispatched commands into command_log for analytics
+    this.clickhouse = options.clickhouse || null;
+
+    this.options = {
+      ackTimeout:
+        options.ackTimeout ||
+        parseInt(process.env.COMMAND_ACK_TIMEOUT_MS || "10000", 10),
+      maxRetries:
+        options.maxRetries !== undefined
+          ? options.maxRetries
+          : parseInt(process.env.COMMAND_MAX_RETRIES || "3", 10),
+      ttl:
+        options.ttl || parseInt(process.env.COMMAND_TTL_SECONDS || "3600", 10),
+    };
+
+    // commandId -> { sessionHash, entry, timer } for commands awaiting ack on this node
+    this.inFlight = new Map();
+
+    // (sessionHash, command) => number of local sockets the command reached
+    this.sender = null;
+  }
+
+  /**
+   * Attach the local socket sender (set by the WebSocket server)
+   */
+  attach(sender) {
+    this.sender = sender;
+  }
+
+  /**
+   * Queue a command for a session and notify the owning node
+   */
+  async dispatch(sessionHash, command, meta = {}) {
+    const ttl = this.clamp(meta.ttlSeconds, 1, 86400, this.options.ttl);
+    const entry = {
+      command,
+      attempts: 0,
+      maxRetries: this.clamp(meta.maxRetries, 0, 10, this.options.maxRetries),
+      ackTimeout: this.clamp(
+        meta.ackTimeoutMs,
+        1000,
+        300000,
+        this.options.ackTimeout,
+      ),
+      enqueuedAt: Date.now(),
+      expiresAt: Date.now() + ttl * 1000,
+    };
+
+    // Record first so the node that delivers it can move it to "sent"
+    await this.postgres.logCommand({
+      commandId: command.id,
+      sessionHash,
+      commandType: command.type,
+      commandPayload: command.payload,
+      adminId: meta.adminId,
+      adminIp: meta.adminIp,
+      status: "pending",
+      maxRetries: entry.maxRetries,
+      expiresAt: new Date(entry.expiresAt),
+    });
+    // Analytics copy only; not awaited so a slow ClickHouse never holds up
+    // dispatch (it logs its own failures)
+    this.clickhouse?.logCommandExecution({
+      commandId: command.id,
+      sessionHash,
+      commandType: command.type,
+      commandPayload: command.payload,
+      adminId: meta.adminId,
+      adminIp: meta.adminIp,
+      status: "pending",
+    });
+
+    await this.redis.savePendingCommand(sessionHash, entry, ttl);
+    const { nodeId } = await this.redis.publishCommand(sessionHash, command, {
+      delivery: entry,
+    });
+
+    return { command, status: "pending", nodeId };
+  }
+
+  /**
+   * Handle a command published on this node's channel
+   */
+  async handlePublished(data) {
+    const { sessionHash, command, delivery } = data;
+
+    // Messages from publishers that predate guaranteed delivery
+    if (!delivery) {
+      this.sender?.(sessionHash, command);
+      return;
+    }
+
+    await this.deliver(sessionHash, { ...delivery, command });
+  }
+
+  /**
+   * Send a pending command to local sockets and start its ack deadline.
+   * Returns false when the session is not connected here (it stays pending).
+   */
+  async deliver(sessionHash, entry) {
+    if (Date.now() >= entry.expiresAt) {
+      await this.expire(sessionHash, entry);
+      return false;
+    }
+
+    const delivered = this.sender ? this.sender(sessionHash, entry.command) : 0;
+    if (!delivered) return false;
+
+    entry.attempts++;
+    await this.redis.savePendingCommand(
+      sessionHash,
+      entry,
+      Math.ceil((entry.expiresAt - Date.now()) / 1000),
+    );
+    await this.postgres.updateCommandStatus(entry.command.id, "sent", null, {
+      attempts: entry.attempts,
+    });
+
+    this.armAckTimer(sessionHash, entry);
+    return true;
+  }
+
+  /**
+   * (Re)start the ack deadline for a delivered command
+   */
+  armAckTimer(sessionHash, entry) {
+    const commandId = entry.command.id;
+    const existing = this.inFlight.get(commandId);
+    if (existing) clearTimeout(existing.timer);
+
+    const timer = setTimeout(() => {
+      this.handleAckTimeout(commandId).catch((error) => {
+        console.error("[Delivery] Ack timeout handling failed:", error.message);
+      });
+    }, entry.ackTimeout);
+
+    this.inFlight.set(commandId, { sessionHash, entry, timer });
+  }
+
+  /**
+   * Retry or fail a command whose ack deadline passed
+   */
+  async handleAckTimeout(commandId) {
+    const inFlight = this.inFlight.get(commandId);
+    if (!inFlight) return;
+    this.inFlight.delete(commandId);
+
+    const { sessionHash, entry } = inFlight;
+
+    if (entry.attempts > entry.maxRetries) {
+      await this.redis.removePendingCommand(sessionHash, commandId);
+      await this.postgres.updateCommandStatus(commandId, "failed", {
+        error: `No acknowledgement after ${entry.attempts} attempt(s)`,
+      });
+      console.warn(
+        `[Delivery] Command ${commandId} failed: ack timeout after ${entry.attempts} attempt(s)`,
+      );
+      return;
+    }
+
+    // Not connected here any more: stays pending until the next handshake
+    await this.deliver(sessionHash, entry);
+  }
+
+  /**
+   * Handle a command_ack from the client
+   */
+  async acknowledge(sessionHash, commandId, result = {}) {
+    const inFlight = this.inFlight.get(commandId);
+    if (inFlight) {
+      clearTimeout(inFlight.timer);
+      this.inFlight.delete(commandId);
+    }
+
+    await this.redis.removePendingCommand(
+      inFlight?.sessionHash || sessionHash,
+      commandId,
+    );
+
+    const status = result?.error ? "failed" : "acknowledged";
+    await this.postgres.updateCommandStatus(commandId, status, result);
+    return status;
+  }
+
+  /**
+   * Deliver every stored command for a session (called after handshake)
+   */
+  async flushPending(sessionHash) {
+    const entries = await this.redis.getPendingCommands(sessionHash);
+    let delivered = 0;
+
+    for (const entry of entries) {
+      // Already awaiting an ack on this node
+      if (this.inFlight.has(entry.command.id)) continue;
+
+      if (await this.deliver(sessionHash, entry)) {
+        delivered++;
+      }
+    }
+
+    if (delivered > 0) {
+      console.log(
+        `[Delivery] Flushed ${delivered} pending command(s) to ${sessionHash.substring(0, 12)}...`,
+      );
+    }
+    return delivered;
+  }
+
+  /**
+   * Drop a command that outlived its TTL
+   */
+  async expire(sessionHash, entry) {
+    await this.redis.removePendingCommand(sessionHash, entry.command.id);
+    await this.postgres.updateCommandStatus(entry.command.id, "expired", {
+      error: "Command expired before delivery",
+    });
+  }
+
+  /**
+   * Clamp optional numeric overrides
+   */
+  clamp(value, min, max, fallback) {
+    const num = parseInt(value, 10);
+    if (isNaN(num)) return fallback;
+    return Math.max(min, Math.min(max, num));
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    return {
+      inFlight: this.inFlight.size,
+      ...this.options,
+    };
+  }
+
+  /**
+   * Cancel ack timers (pending commands survive in Redis)
+   */
+  destroy() {
+    this.inFlight.forEach(({ timer }) => clearTimeout(timer));
+    this.inFlight.clear();
+  }
+}
+
+module.exports = CommandDelivery;
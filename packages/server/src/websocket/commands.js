@@ -0,0 +1,114 @@
+/**
+ * Command Builder - Maps admin actions to client commands
+ * Mirrors the whitelist in the SDK's CommandDispatcher
+ */
+
+const { v4: uuidv4 } = require("uuid");
+
+const COMMAND_TYPES = [
+  "REDIRECT",
+  "TOAST_ALERT",
+  "SET_LATENCY",
+  "TERMINATE",
+  "UPDATE_CONFIG",
+  "REFRESH_PAGE",
+  "CLEAR_STORAGE",
+  "LOG_MESSAGE",
+  "CUSTOM_EVENT",
+];
+
+// Shorthand actions that also change sessions.mode
+const ACTION_ALIASES = ["upspin", "downspin", "terminate"];
+
+/**
+ * Optional SDK network shaping fields for a SET_LATENCY payload
+ * (jitter, bandwidth cap and the URL patterns the SDK applies them to)
+ */
+function shapingOptions(params = {}) {
+  const options = {};
+
+  for (const field of ["jitter_ms", "bandwidth_kbps"]) {
+    const value = Number(params[field]);
+    if (params[field] !== undefined && value >= 0) {
+      options[field] = value;
+    }
+  }
+  for (const field of ["include", "exclude"]) {
+    if (Array.isArray(params[field])) {
+      options[field] = params[field].map(String);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Build a command (and resulting session mode, if any) from an action
+ * such as { type: 'downspin', latency_ms: 3000 } or { type: 'TERMINATE' }
+ */
+function buildCommand(action = {}) {
+  const { type, payload = {}, ...rest } = action;
+  const params = { ...rest, ...payload };
+
+  switch (type) {
+    case "upspin":
+      return {
+        command: {
+          id: uuidv4(),
+          type: "SET_LATENCY",
+          payload: { latency_ms: 0 },
+        },
+        mode: "upspin",
+        latency: 0,
+      };
+    case "downspin": {
+      const latency = parseInt(params.latency_ms, 10) || 2000;
+      return {
+        command: {
+          id: uuidv4(),
+          type: "SET_LATENCY",
+          payload: { latency_ms: latency, ...shapingOptions(params) },
+        },
+        mode: "downspin",
+        latency,
+      };
+    }
+    case "terminate":
+    case "TERMINATE":
+      return {
+        command: {
+          id: uuidv4(),
+          type: "TERMINATE",
+          payload: {
+            reason: params.reason || "Session terminated by administrator",
+          },
+        },
+        mode: "terminated",
+        latency: 0,
+      };
+    default:
+      if (!COMMAND_TYPES.includes(type)) {
+        throw new Error(`Unknown action type: ${type}`);
+      }
+      return {
+        command: { id: uuidv4(), type, payload: params },
+        mode: null,
+        latency: 0,
+      };
+  }
+}
+
+/**
+ * Whether an action type can be turned into a command
+ */
+function isValidAction(type) {
+  return ACTION_ALIASES.includes(type) || COMMAND_TYPES.includes(type);
+}
+
+module.exports = {
+  COMMAND_TYPES,
+  ACTION_ALIASES,
+  buildCommand,
+  isValidAction,
+  shapingOptions,
+};
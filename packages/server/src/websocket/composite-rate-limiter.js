@@ -0,0 +1,232 @@
+/**
+ * Composite Rate Limiter
+ * Layers token buckets per session, IP, subnet (/24 IPv4, /64 IPv6) and ASN/ISP
+ * so rotating fingerprints does not buy a fresh bucket. Every layer has its own
+ * thresholds; a message is denied by the first layer that runs dry.
+ *
+ * The session layer is the primary limiter: it keeps the existing keys and owns
+ * auto-bans, operator bans (session or IP) and bucket overrides.
+ */
+
+const net = require('net');
+const RateLimiter = require('./rate-limiter');
+const RedisRateLimiter = require('./redis-rate-limiter');
+
+const LAYERS = ['session', 'ip', 'subnet', 'asn'];
+
+// Wider layers get bigger buckets and only deny - they never auto-ban
+const DEFAULT_LAYERS = {
+  session: {
+    capacity: 20,
+    refillRate: 5,
+    maxEventsPerSecond: 5,
+    banThreshold: 50,
+    banDuration: 300000
+  },
+  ip: {
+    capacity: 60,
+    refillRate: 15,
+    maxEventsPerSecond: 15,
+    autoBan: false
+  },
+  subnet: {
+    capacity: 200,
+    refillRate: 50,
+    maxEventsPerSecond: 50,
+    autoBan: false
+  },
+  asn: {
+    capacity: 1000,
+    refillRate: 250,
+    maxEventsPerSecond: 250,
+    autoBan: false
+  }
+};
+
+/**
+ * Expand an IPv6 address to its 8 hextets
+ */
+function expandIPv6(ip) {
+  const [head, tail] = ip.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  const missing = 8 - headParts.length - tailParts.length;
+
+  return [...headParts, ...new Array(Math.max(0, missing)).fill('0'), ...tailParts]
+    .map(part => parseInt(part, 16).toString(16));
+}
+
+/**
+ * Subnet key for an address: /24 for IPv4, /64 for IPv6
+ */
+function subnetKey(ip) {
+  if (!ip) return null;
+
+  // IPv6-mapped IPv4 (::ffff:192.168.1.1) belongs to the IPv4 subnet
+  const address = ip.startsWith('::ffff:') && net.isIPv4(ip.substring(7))
+    ? ip.substring(7)
+    : ip.split('%')[0];
+
+  if (net.isIPv4(address)) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+  if (net.isIPv6(address)) {
+    return `${expandIPv6(address).slice(0, 4).join(':')}::/64`;
+  }
+  return null;
+}
+
+class CompositeRateLimiter {
+  constructor(redis, options = {}) {
+    this.backend = options.backend || 'memory';
+
+    this.layers = {};
+    for (const layer of LAYERS) {
+      const layerOptions = {
+        autoThrottle: true,
+        throttleLatency: 2000,
+        ...DEFAULT_LAYERS[layer],
+        ...(options.layers?.[layer] || {})
+      };
+      if (layerOptions.enabled === false) continue;
+
+      this.layers[layer] = this.backend === 'redis'
+        ? new RedisRateLimiter(redis, {
+          ...layerOptions,
+          namespace: layer === 'session' ? null : layer
+        })
+        : new RateLimiter(layerOptions);
+    }
+
+    if (!this.layers.session) {
+      throw new Error('The session rate-limit layer cannot be disabled');
+    }
+    this.primary = this.layers.session;
+    this.options = this.primary.options;
+  }
+
+  /**
+   * Check a message against every layer
+   * keys: { session, ip, subnet, asn } - layers without a key are skipped
+   */
+  async isAllowed(keys, cost = 1) {
+    // Operator bans on an IP cover every session behind it
+    if (keys.ip && await this.primary.isBanned(keys.ip)) {
+      return {
+        allowed: false,
+        reason: 'banned',
+        layer: 'ip',
+        key: keys.ip,
+        retryAfter: await this.primary.getBanTimeRemaining(keys.ip)
+      };
+    }
+
+    let sessionResult = null;
+
+    for (const [layer, limiter] of Object.entries(this.layers)) {
+      const key = keys[layer];
+      if (!key) continue;
+
+      const result = await limiter.isAllowed(key, cost);
+      if (!result.allowed) {
+        return { ...result, layer, key };
+      }
+      if (layer === 'session') {
+        sessionResult = result;
+      }
+    }
+
+    return {
+      allowed: true,
+      tokensRemaining: sessionResult ? sessionResult.tokensRemaining : null
+    };
+  }
+
+  /**
+   * Get violation stats for a layer (session by default)
+   */
+  async getViolationStats(key, layer = 'session') {
+    const limiter = this.layers[layer];
+    if (!limiter || !key) return null;
+    return limiter.getViolationStats(key);
+  }
+
+  /**
+   * Thresholds for a layer
+   */
+  getLayerOptions(layer) {
+    return this.layers[layer] ? this.layers[layer].options : null;
+  }
+
+  // Bans and overrides live on the session layer
+
+  ban(id, duration, reason, details) {
+    return this.primary.ban(id, duration, reason, details);
+  }
+
+  isBanned(id) {
+    return this.primary.isBanned(id);
+  }
+
+  getBanTimeRemaining(id) {
+    return this.primary.getBanTimeRemaining(id);
+  }
+
+  unban(id) {
+    return this.primary.unban(id);
+  }
+
+  listBans() {
+    return this.primary.listBans();
+  }
+
+  setOverride(id, override) {
+    return this.primary.setOverride(id, override);
+  }
+
+  getOverride(id) {
+    return this.primary.getOverride(id);
+  }
+
+  clearOverride(id) {
+    return this.primary.clearOverride(id);
+  }
+
+  listOverrides() {
+    return this.primary.listOverrides();
+  }
+
+  /**
+   * Reset buckets for a session
+   */
+  reset(id) {
+    return this.primary.reset(id);
+  }
+
+  /**
+   * Get statistics per layer
+   */
+  getStats() {
+    const layers = {};
+    for (const [layer, limiter] of Object.entries(this.layers)) {
+      layers[layer] = limiter.getStats();
+    }
+
+    return {
+      backend: this.backend,
+      layers
+    };
+  }
+
+  /**
+   * Destroy every layer
+   */
+  destroy() {
+    Object.values(this.layers).forEach(limiter => limiter.destroy());
+  }
+}
+
+CompositeRateLimiter.LAYERS = LAYERS;
+CompositeRateLimiter.subnetKey = subnetKey;
+
+module.exports = CompositeRateLimiter;
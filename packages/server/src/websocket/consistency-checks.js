@@ -0,0 +1,285 @@
+/**
+ * Consistency Checks - Cross-check handshake fingerprint against GeoIP
+ * Each check compares two things a real browser reports consistently:
+ *
+ *   timezone_geo     - timezone offset vs GeoIP longitude
+ *   language_country - browser languages vs GeoIP country
+ *   screen_platform  - screen size vs user agent platform
+ *   webgl_platform   - WebGL renderer vs user agent platform
+ *
+ * Every check returns { check, status: "pass" | "fail" | "skip", severity, detail }
+ * with severity between 0 and 1 for failures.
+ */
+
+// Languages commonly configured in each country (English is accepted everywhere)
+const COUNTRY_LANGUAGES = {
+  AE: ["ar"],
+  AR: ["es"],
+  AT: ["de"],
+  BD: ["bn"],
+  BE: ["nl", "fr", "de"],
+  BG: ["bg"],
+  BR: ["pt"],
+  BY: ["be", "ru"],
+  CA: ["fr"],
+  CH: ["de", "fr", "it"],
+  CL: ["es"],
+  CN: ["zh"],
+  CO: ["es"],
+  CZ: ["cs"],
+  DE: ["de"],
+  DK: ["da"],
+  EG: ["ar"],
+  ES: ["es", "ca", "gl", "eu"],
+  FI: ["fi", "sv"],
+  FR: ["fr"],
+  GR: ["el"],
+  HK: ["zh"],
+  HU: ["hu"],
+  ID: ["id"],
+  IL: ["he", "ar", "ru"],
+  IN: ["hi", "bn", "te", "mr", "ta", "ur", "gu", "kn", "ml"],
+  IR: ["fa"],
+  IT: ["it"],
+  JP: ["ja"],
+  KR: ["ko"],
+  KZ: ["kk", "ru"],
+  MX: ["es"],
+  MY: ["ms", "zh"],
+  NL: ["nl"],
+  NO: ["nb", "no", "nn"],
+  PE: ["es"],
+  PH: ["fil", "tl"],
+  PK: ["ur"],
+  PL: ["pl"],
+  PT: ["pt"],
+  RO: ["ro"],
+  RU: ["ru"],
+  SA: ["ar"],
+  SE: ["sv"],
+  SK: ["sk"],
+  TH: ["th"],
+  TR: ["tr"],
+  TW: ["zh"],
+  UA: ["uk", "ru"],
+  VN: ["vi"],
+  ZA: ["af", "zu", "xh"],
+};
+
+const MOBILE_UA = /iPhone|iPod|Android.+Mobile|Windows Phone/i;
+const TABLET_UA = /iPad|Android(?!.+Mobile)/i;
+const SOFTWARE_RENDERER = /SwiftShader|llvmpipe|softpipe|Mesa OffScreen/i;
+
+/**
+ * Current UTC offset of an IANA timezone in hours (null if unknown)
+ */
+function timezoneOffsetHours(timeZone, date = new Date()) {
+  try {
+    const name = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      timeZoneName: "shortOffset",
+    })
+      .formatToParts(date)
+      .find((part) => part.type === "timeZoneName")?.value;
+
+    const match = /^GMT(?:([+-])(\d{1,2})(?::(\d{2}))?)?$/.exec(name || "");
+    if (!match) return null;
+    if (!match[1]) return 0;
+
+    const hours = Number(match[2]) + Number(match[3] || 0) / 60;
+    return match[1] === "-" ? -hours : hours;
+  } catch {
+    return null; // Invalid or "Unknown" timezone
+  }
+}
+
+/**
+ * Operating system family claimed by a user agent
+ */
+function uaPlatform(userAgent = "") {
+  if (/Windows/i.test(userAgent)) return "windows";
+  if (/iPhone|iPad|iPod/i.test(userAgent)) return "ios";
+  if (/Android/i.test(userAgent)) return "android";
+  if (/Macintosh|Mac OS X/i.test(userAgent)) return "mac";
+  if (/CrOS/i.test(userAgent)) return "chromeos";
+  if (/Linux|X11/i.test(userAgent)) return "linux";
+  return null;
+}
+
+const result = (check, status, detail, severity = 0) => ({
+  check,
+  status,
+  severity: status === "fail" ? severity : 0,
+  detail,
+});
+
+/**
+ * Timezone offset vs GeoIP longitude
+ */
+function checkTimezoneGeo(profile) {
+  // Prefer the browser's own offset (Date#getTimezoneOffset is minutes behind UTC)
+  const offset =
+    profile.timezoneOffset !== null &&
+    profile.timezoneOffset !== undefined &&
+    !Number.isNaN(Number(profile.timezoneOffset))
+      ? -Number(profile.timezoneOffset) / 60
+      : timezoneOffsetHours(profile.timezone);
+
+  if (offset === null || !profile.longitude) {
+    return result("timezone_geo", "skip", "No timezone or GeoIP location");
+  }
+
+  // Solar offset of the GeoIP location; real zones stray up to ~3h from it
+  const expected = Number(profile.longitude) / 15;
+  let difference = Math.abs(offset - expected) % 24;
+  difference = Math.min(difference, 24 - difference);
+
+  const detail = `${profile.timezone || "Timezone"} (UTC${offset >= 0 ? "+" : ""}${offset}) is ${difference.toFixed(1)}h from the GeoIP location`;
+  if (difference > 4) return result("timezone_geo", "fail", detail, 1);
+  if (difference > 2.5) return result("timezone_geo", "fail", detail, 0.4);
+  return result("timezone_geo", "pass", detail);
+}
+
+/**
+ * Browser languages vs GeoIP country
+ */
+function checkLanguageCountry(profile) {
+  const languages = [
+    ...new Set(
+      [profile.language, ...(profile.languages || [])]
+        .filter(Boolean)
+        .map((tag) => String(tag).toLowerCase()),
+    ),
+  ];
+  const expected = COUNTRY_LANGUAGES[profile.country];
+
+  if (languages.length === 0 || !profile.country) {
+    return result("language_country", "skip", "No language or GeoIP country");
+  }
+
+  const country = profile.country.toLowerCase();
+  const matches = languages.some((tag) => {
+    const [primary, region] = tag.split("-");
+    return (
+      primary === "en" ||
+      region === country ||
+      (expected && expected.includes(primary))
+    );
+  });
+
+  if (!expected && !matches) {
+    return result(
+      "language_country",
+      "skip",
+      `No language data for ${profile.country}`,
+    );
+  }
+
+  const detail = `${languages.join(", ")} in ${profile.country}`;
+  return matches
+    ? result("language_country", "pass", detail)
+    : result("language_country", "fail", detail, 0.5);
+}
+
+/**
+ * Screen size vs user agent platform
+ */
+function checkScreenPlatform(profile) {
+  const width = Number(profile.screenWidth) || 0;
+  const height = Number(profile.screenHeight) || 0;
+
+  if (!profile.userAgent || !width || !height) {
+    return result("screen_platform", "skip", "No user agent or screen size");
+  }
+
+  const shortSide = Math.min(width, height);
+  const longSide = Math.max(width, height);
+  const detail = `${width}x${height} screen`;
+
+  if (MOBILE_UA.test(profile.userAgent)) {
+    return shortSide > 600
+      ? result(
+          "screen_platform",
+          "fail",
+          `${detail} on a phone user agent`,
+          0.7,
+        )
+      : result("screen_platform", "pass", `${detail} on a phone user agent`);
+  }
+  if (TABLET_UA.test(profile.userAgent)) {
+    return shortSide < 500
+      ? result(
+          "screen_platform",
+          "fail",
+          `${detail} on a tablet user agent`,
+          0.5,
+        )
+      : result("screen_platform", "pass", `${detail} on a tablet user agent`);
+  }
+
+  // Desktop user agent; iPadOS also claims to be a Mac but reports touch points
+  if (longSide < 700 && !(Number(profile.maxTouchPoints) > 1)) {
+    return result(
+      "screen_platform",
+      "fail",
+      `${detail} on a desktop user agent`,
+      0.7,
+    );
+  }
+  return result("screen_platform", "pass", `${detail} on a desktop user agent`);
+}
+
+/**
+ * WebGL renderer vs user agent platform
+ */
+function checkWebGLPlatform(profile) {
+  const renderer = profile.webgl?.renderer;
+  const platform = uaPlatform(profile.userAgent);
+
+  if (!renderer || !platform) {
+    return result("webgl_platform", "skip", "No WebGL renderer or platform");
+  }
+
+  const detail = `"${renderer}" on ${platform}`;
+
+  // Headless browsers fall back to a software rasterizer
+  if (SOFTWARE_RENDERER.test(renderer)) {
+    return result("webgl_platform", "fail", `Software renderer ${detail}`, 0.8);
+  }
+
+  const mismatch =
+    (/Direct3D|D3D11|D3D9/i.test(renderer) && platform !== "windows") ||
+    (/Apple (M\d|GPU)/i.test(renderer) && !["mac", "ios"].includes(platform)) ||
+    (/Adreno|Mali/i.test(renderer) &&
+      !["android", "chromeos", "linux"].includes(platform));
+
+  return mismatch
+    ? result("webgl_platform", "fail", detail, 0.8)
+    : result("webgl_platform", "pass", detail);
+}
+
+const CHECKS = {
+  timezone_geo: checkTimezoneGeo,
+  language_country: checkLanguageCountry,
+  screen_platform: checkScreenPlatform,
+  webgl_platform: checkWebGLPlatform,
+};
+
+/**
+ * Run every check against a handshake profile
+ */
+function runConsistencyChecks(profile = {}) {
+  return Object.entries(CHECKS).map(([name, check]) => {
+    try {
+      return check(profile);
+    } catch (error) {
+      return result(name, "skip", `Check failed: ${error.message}`);
+    }
+  });
+}
+
+module.exports = {
+  runConsistencyChecks,
+  timezoneOffsetHours,
+  uaPlatform,
+};
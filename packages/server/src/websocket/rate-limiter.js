@@ -61,6 +61,7 @@ class RateLimiter {
       throttleLatency: options.throttleLatency || 2000,
       banThreshold: options.banThreshold || 50, // Ban after 50 violations
       banDuration: options.banDuration || 300000, // 5 minutes
+      autoBan: options.autoBan !== undefined ? options.autoBan : true,
       ...options
     };
 
@@ -69,6 +70,9 @@ class RateLimiter {
     this.violations = new Map();
     this.bannedSessions = new Map();
 
+    // Per-session bucket settings set by operators (e.g. trusted QA sessions)
+    this.overrides = new Map();
+
     // Cleanup timer
     this.cleanupInterval = setInterval(() => this.cleanup(), 60000);
   }
@@ -78,9 +82,10 @@ class RateLimiter {
    */
   getBucket(sessionId) {
     if (!this.buckets.has(sessionId)) {
+      const override = this.overrides.get(sessionId) || {};
       this.buckets.set(sessionId, new TokenBucket(
-        this.options.capacity,
-        this.options.refillRate,
+        override.capacity || this.options.capacity,
+        override.refillRate || this.options.refillRate,
         this.options.refillInterval
       ));
     }
@@ -137,7 +142,7 @@ class RateLimiter {
     violation.lastViolation = Date.now();
 
     // Auto-ban if threshold exceeded
-    if (violation.count >= this.options.banThreshold) {
+    if (this.options.autoBan && violation.count >= this.options.banThreshold) {
       this.ban(sessionId, this.options.banDuration);
     }
 
@@ -166,14 +171,31 @@ class RateLimiter {
   /**
    * Ban a session
    */
-  ban(sessionId, duration = this.options.banDuration) {
+  ban(sessionId, duration = this.options.banDuration, reason = 'excessive_rate_limit_violations', details = {}) {
     this.bannedSessions.set(sessionId, {
+      ...details,
       bannedAt: Date.now(),
       duration,
-      reason: 'excessive_rate_limit_violations'
+      reason
     });
   }
 
+  /**
+   * List active bans with time remaining
+   */
+  listBans() {
+    const bans = [];
+
+    for (const [id, ban] of this.bannedSessions.entries()) {
+      const remainingMs = this.getBanTimeRemaining(id);
+      if (remainingMs > 0) {
+        bans.push({ id, ...ban, remainingMs });
+      }
+    }
+
+    return bans.sort((a, b) => a.remainingMs - b.remainingMs);
+  }
+
   /**
    * Check if session is banned
    */
@@ -213,6 +235,39 @@ class RateLimiter {
     this.violations.delete(sessionId);
   }
 
+  /**
+   * Set custom bucket capacity / refill rate for a session
+   */
+  setOverride(sessionId, override) {
+    this.overrides.set(sessionId, { ...override, setAt: Date.now() });
+    // Rebuild the bucket with the new limits on the next check
+    this.buckets.delete(sessionId);
+  }
+
+  /**
+   * Get bucket override for a session
+   */
+  getOverride(sessionId) {
+    return this.overrides.get(sessionId) || null;
+  }
+
+  /**
+   * Remove bucket override for a session
+   */
+  clearOverride(sessionId) {
+    const existed = this.overrides.delete(sessionId);
+    this.buckets.delete(sessionId);
+    return existed;
+  }
+
+  /**
+   * List bucket overrides
+   */
+  listOverrides() {
+    return Array.from(this.overrides.entries())
+      .map(([id, override]) => ({ id, ...override }));
+  }
+
   /**
    * Calculate retry-after time
    */
@@ -267,9 +322,11 @@ class RateLimiter {
    */
   getStats() {
     return {
+      backend: 'memory',
       activeBuckets: this.buckets.size,
       violatedSessions: this.violations.size,
       bannedSessions: this.bannedSessions.size,
+      overrides: this.overrides.size,
       totalViolations: Array.from(this.violations.values())
         .reduce((sum, v) => sum + v.count, 0)
     };
@@ -283,6 +340,7 @@ class RateLimiter {
     this.buckets.clear();
     this.violations.clear();
     this.bannedSessions.clear();
+    this.overrides.clear();
   }
 }
 
@@ -0,0 +1,348 @@
+/**
+ * Redis Token Bucket Rate Limiter
+ * Same interface as RateLimiter, but buckets, violations and bans live in Redis
+ * so they survive restarts and are shared by every server instance.
+ * All methods are async; each check runs as one atomic Lua script.
+ */
+
+const RateLimiter = require('./rate-limiter');
+
+// KEYS: bucket, violations, ban, bans index, overrides
+// ARGV: capacity, refillRate, refillInterval, cost, now, banThreshold, banDuration, ttl, sessionId
+const CONSUME_SCRIPT = `
+local banTtl = redis.call('PTTL', KEYS[3])
+if banTtl > 0 then
+  return {0, 'banned', banTtl, 0}
+end
+
+local capacity = tonumber(ARGV[1])
+local refillRate = tonumber(ARGV[2])
+
+local override = redis.call('HGET', KEYS[5], ARGV[9])
+if override then
+  override = cjson.decode(override)
+  capacity = tonumber(override.capacity) or capacity
+  refillRate = tonumber(override.refillRate) or refillRate
+end
+local refillInterval = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local now = tonumber(ARGV[5])
+local ttl = tonumber(ARGV[8])
+
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'last')
+local tokens = tonumber(bucket[1]) or capacity
+local last = tonumber(bucket[2]) or now
+
+local intervals = math.floor((now - last) / refillInterval)
+if intervals > 0 then
+  tokens = math.min(capacity, tokens + intervals * refillRate)
+  last = now
+end
+
+if tokens >= cost then
+  tokens = tokens - cost
+  redis.call('HSET', KEYS[1], 'tokens', tokens, 'last', last)
+  redis.call('PEXPIRE', KEYS[1], ttl)
+  return {1, 'ok', 0, tokens}
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tokens, 'last', last)
+redis.call('PEXPIRE', KEYS[1], ttl)
+
+local count = redis.call('HINCRBY', KEYS[2], 'count', 1)
+redis.call('HSETNX', KEYS[2], 'first', now)
+redis.call('HSET', KEYS[2], 'last', now)
+redis.call('PEXPIRE', KEYS[2], ttl)
+
+-- Auto-ban if threshold exceeded (0 = never)
+local banThreshold = tonumber(ARGV[6])
+local banDuration = tonumber(ARGV[7])
+if banThreshold > 0 and count >= banThreshold then
+  redis.call('SET', KEYS[3], cjson.encode({bannedAt = now, duration = banDuration, reason = 'excessive_rate_limit_violations'}), 'PX', banDuration)
+  redis.call('ZADD', KEYS[4], now + banDuration, ARGV[9])
+end
+
+return {0, 'rate_limit', math.ceil(cost / refillRate) * refillInterval, tokens}
+`;
+
+class RedisRateLimiter {
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.client = redis.client;
+    // Namespace keeps buckets of different limit layers apart
+    this.prefix = options.namespace
+      ? `${redis.config.keyPrefix}ratelimit:${options.namespace}:`
+      : `${redis.config.keyPrefix}ratelimit:`;
+
+    this.options = {
+      capacity: options.capacity || 10,
+      refillRate: options.refillRate || 5,
+      refillInterval: options.refillInterval || 1000,
+      maxEventsPerSecond: options.maxEventsPerSecond || 5,
+      autoThrottle: options.autoThrottle !== undefined ? options.autoThrottle : true,
+      throttleLatency: options.throttleLatency || 2000,
+      banThreshold: options.banThreshold || 50,
+      banDuration: options.banDuration || 300000,
+      autoBan: options.autoBan !== undefined ? options.autoBan : true,
+      keyTtl: options.keyTtl || 3600000, // Idle buckets/violations expire after 1 hour
+      ...options
+    };
+
+    // FALLBACK: Keep limiting locally if Redis is unreachable
+    this.fallback = new RateLimiter(this.options);
+
+    this.client.defineCommand('rateLimitConsume', {
+      numberOfKeys: 5,
+      lua: CONSUME_SCRIPT
+    });
+
+    // Process-local counters for getStats()
+    this.metrics = {
+      checks: 0,
+      denied: 0,
+      fallbackChecks: 0
+    };
+  }
+
+  /**
+   * Redis keys for a session/IP
+   */
+  keys(sessionId) {
+    return {
+      bucket: `${this.prefix}bucket:${sessionId}`,
+      violations: `${this.prefix}violations:${sessionId}`,
+      ban: `${this.prefix}ban:${sessionId}`,
+      bans: `${this.prefix}bans`,
+      overrides: `${this.prefix}overrides`
+    };
+  }
+
+  /**
+   * Check if request is allowed
+   */
+  async isAllowed(sessionId, cost = 1) {
+    this.metrics.checks++;
+    const keys = this.keys(sessionId);
+
+    try {
+      const [allowed, reason, retryAfter, tokens] = await this.client.rateLimitConsume(
+        keys.bucket,
+        keys.violations,
+        keys.ban,
+        keys.bans,
+        keys.overrides,
+        this.options.capacity,
+        this.options.refillRate,
+        this.options.refillInterval,
+        cost,
+        Date.now(),
+        this.options.autoBan ? this.options.banThreshold : 0,
+        this.options.banDuration,
+        this.options.keyTtl,
+        sessionId
+      );
+
+      if (allowed === 1) {
+        return {
+          allowed: true,
+          tokensRemaining: tokens
+        };
+      }
+
+      this.metrics.denied++;
+      if (reason === 'banned') {
+        return {
+          allowed: false,
+          reason: 'banned',
+          retryAfter
+        };
+      }
+
+      return {
+        allowed: false,
+        reason: 'rate_limit',
+        tokensAvailable: tokens,
+        retryAfter
+      };
+    } catch (error) {
+      console.error('[RateLimiter] Redis check failed, using local fallback:', error.message);
+      this.metrics.fallbackChecks++;
+      return this.fallback.isAllowed(sessionId, cost);
+    }
+  }
+
+  /**
+   * Get violation stats
+   */
+  async getViolationStats(sessionId) {
+    try {
+      const violation = await this.client.hgetall(this.keys(sessionId).violations);
+      if (!violation || !violation.count) return null;
+
+      const count = parseInt(violation.count, 10);
+      const duration = Math.max(1, Date.now() - parseInt(violation.first, 10));
+      const eventsPerSecond = (count / duration) * 1000;
+
+      return {
+        count,
+        eventsPerSecond,
+        shouldThrottle: eventsPerSecond > this.options.maxEventsPerSecond,
+        throttleLatency: this.options.throttleLatency
+      };
+    } catch (error) {
+      return this.fallback.getViolationStats(sessionId);
+    }
+  }
+
+  /**
+   * Ban a session
+   */
+  async ban(sessionId, duration = this.options.banDuration, reason = 'excessive_rate_limit_violations', details = {}) {
+    const keys = this.keys(sessionId);
+    const now = Date.now();
+
+    await this.client
+      .multi()
+      .set(keys.ban, JSON.stringify({ ...details, bannedAt: now, duration, reason }), 'PX', duration)
+      .zadd(keys.bans, now + duration, sessionId)
+      .exec();
+  }
+
+  /**
+   * List active bans across the cluster with time remaining
+   */
+  async listBans() {
+    const key = this.keys('').bans;
+    await this.client.zremrangebyscore(key, 0, Date.now());
+    const ids = await this.client.zrange(key, 0, -1);
+    if (ids.length === 0) return [];
+
+    const pipeline = this.client.pipeline();
+    for (const id of ids) {
+      pipeline.get(this.keys(id).ban);
+      pipeline.pttl(this.keys(id).ban);
+    }
+    const results = await pipeline.exec();
+
+    const bans = [];
+    ids.forEach((id, index) => {
+      const [, raw] = results[index * 2];
+      const [, ttl] = results[index * 2 + 1];
+      if (!raw || ttl <= 0) return;
+
+      bans.push({ id, ...JSON.parse(raw), remainingMs: ttl });
+    });
+
+    return bans.sort((a, b) => a.remainingMs - b.remainingMs);
+  }
+
+  /**
+   * Check if session is banned
+   */
+  async isBanned(sessionId) {
+    return (await this.getBanTimeRemaining(sessionId)) > 0;
+  }
+
+  /**
+   * Get remaining ban time
+   */
+  async getBanTimeRemaining(sessionId) {
+    const ttl = await this.client.pttl(this.keys(sessionId).ban);
+    return Math.max(0, ttl);
+  }
+
+  /**
+   * Unban a session
+   */
+  async unban(sessionId) {
+    const keys = this.keys(sessionId);
+
+    await this.client
+      .multi()
+      .del(keys.ban, keys.violations)
+      .zrem(keys.bans, sessionId)
+      .exec();
+    this.fallback.unban(sessionId);
+  }
+
+  /**
+   * Reset bucket for session
+   */
+  async reset(sessionId) {
+    const keys = this.keys(sessionId);
+    await this.client.del(keys.bucket, keys.violations);
+    this.fallback.reset(sessionId);
+  }
+
+  /**
+   * Set custom bucket capacity / refill rate for a session
+   */
+  async setOverride(sessionId, override) {
+    const keys = this.keys(sessionId);
+
+    await this.client
+      .multi()
+      .hset(keys.overrides, sessionId, JSON.stringify({ ...override, setAt: Date.now() }))
+      .del(keys.bucket) // Start from a full bucket at the new capacity
+      .exec();
+  }
+
+  /**
+   * Get bucket override for a session
+   */
+  async getOverride(sessionId) {
+    const raw = await this.client.hget(this.keys(sessionId).overrides, sessionId);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Remove bucket override for a session
+   */
+  async clearOverride(sessionId) {
+    const keys = this.keys(sessionId);
+    const [[, removed]] = await this.client
+      .multi()
+      .hdel(keys.overrides, sessionId)
+      .del(keys.bucket)
+      .exec();
+    return removed > 0;
+  }
+
+  /**
+   * List bucket overrides
+   */
+  async listOverrides() {
+    const overrides = await this.client.hgetall(this.keys('').overrides);
+    return Object.entries(overrides)
+      .map(([id, raw]) => ({ id, ...JSON.parse(raw) }));
+  }
+
+  /**
+   * Count active bans across the cluster
+   */
+  async countBans() {
+    const key = this.keys('').bans;
+    await this.client.zremrangebyscore(key, 0, Date.now());
+    return await this.client.zcard(key);
+  }
+
+  /**
+   * Get statistics (process-local counters)
+   */
+  getStats() {
+    return {
+      backend: 'redis',
+      ...this.metrics,
+      fallback: this.fallback.getStats()
+    };
+  }
+
+  /**
+   * Destroy rate limiter (state stays in Redis)
+   */
+  destroy() {
+    this.fallback.destroy();
+  }
+}
+
+module.exports = RedisRateLimiter;
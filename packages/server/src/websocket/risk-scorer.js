@@ -0,0 +1,338 @@
+/**
+ * Risk Scorer - Weighted, explainable session risk
+ * Each signal returns a severity between 0 and 1 and a reason. A signal
+ * contributes severity * weight points and the risk score is the capped sum,
+ * so the stored breakdown shows exactly why a session is risky.
+ *
+ * A signal with a negative weight is evidence of a human and lowers the score.
+ *
+ * Extra signals can be plugged in with:
+ *   scorer.register({ name, weight, evaluate: (context) => ({ severity, reason }) })
+ *
+ * context = { profile, behavior, violations }
+ *   profile    - handshake data (user agent, screen, timezone, GeoIP) and
+ *                the results of consistency-checks.js
+ *   behavior   - recent event types and message arrivals (see createBehavior)
+ *   violations - rate limiter violation stats, if any
+ */
+
+// Messages kept for the rate and timing signals
+const RECENT_ARRIVALS = 50;
+
+const FRUSTRATION_EVENTS = ["rage_click", "dead_click", "scroll_thrash"];
+
+const AUTOMATION_UA =
+  /HeadlessChrome|PhantomJS|Selenium|WebDriver|puppeteer|playwright|python-requests|curl\/|wget\/|bot|crawler|spider/i;
+
+const DEFAULT_SIGNALS = [
+  {
+    name: "event_rate",
+    weight: 30,
+    evaluate({ behavior, violations }) {
+      const eps = Math.max(
+        violations?.eventsPerSecond || 0,
+        behavior.eventsPerSecond || 0,
+      );
+      const severity = eps > 10 ? 1 : eps > 5 ? 0.6 : eps > 3 ? 0.3 : 0;
+
+      return {
+        severity,
+        value: Math.round(eps * 100) / 100,
+        reason: `${eps.toFixed(1)} events/s`,
+      };
+    },
+  },
+  {
+    name: "event_diversity",
+    weight: 20,
+    evaluate({ behavior }) {
+      const total = behavior.totalEvents;
+      const unique = behavior.eventTypes.size;
+
+      // Scripts tend to fire the same one or two events over and over
+      let severity = 0;
+      if (total >= 100 && unique < 5) severity = 1;
+      else if (total >= 50 && unique < 3) severity = 0.7;
+      else if (total >= 20 && unique === 1) severity = 0.4;
+
+      return {
+        severity,
+        value: { total, unique },
+        reason: `${unique} distinct event type(s) in ${total} events`,
+      };
+    },
+  },
+  {
+    name: "timing_regularity",
+    weight: 20,
+    evaluate({ behavior }) {
+      // Only single-event messages: a batch's arrival shows when the SDK
+      // flushed (on a timer), not when its events happened
+      const timestamps = behavior.recentArrivals
+        .filter(([, count]) => count === 1)
+        .map(([receivedAt]) => receivedAt);
+      const intervals = timestamps
+        .slice(1)
+        .map((timestamp, index) => timestamp - timestamps[index]);
+
+      if (intervals.length < 10) {
+        return { severity: 0, reason: "Not enough events yet" };
+      }
+
+      const mean =
+        intervals.reduce((sum, interval) => sum + interval, 0) /
+        intervals.length;
+      if (mean <= 0) {
+        return { severity: 1, reason: "Events share identical timestamps" };
+      }
+
+      // Humans are irregular; a low coefficient of variation means a timer
+      const variance =
+        intervals.reduce((sum, interval) => sum + (interval - mean) ** 2, 0) /
+        intervals.length;
+      const cv = Math.sqrt(variance) / mean;
+      const severity = cv < 0.1 ? 1 : cv < 0.25 ? 0.5 : 0;
+
+      return {
+        severity,
+        value: Math.round(cv * 1000) / 1000,
+        reason: `Interval variation ${cv.toFixed(2)} over ${intervals.length + 1} events`,
+      };
+    },
+  },
+  {
+    name: "fingerprint_anomalies",
+    weight: 20,
+    evaluate({ profile }) {
+      const anomalies = [];
+      let severity = 0;
+
+      if (!profile.userAgent) {
+        anomalies.push("missing user agent");
+        severity += 0.5;
+      } else if (AUTOMATION_UA.test(profile.userAgent)) {
+        anomalies.push("automation user agent");
+        severity += 1;
+      }
+      if (!profile.screenWidth || !profile.screenHeight) {
+        anomalies.push("no screen size");
+        severity += 0.5;
+      }
+      if (!profile.timezone || profile.timezone === "Unknown") {
+        anomalies.push("no timezone");
+        severity += 0.3;
+      }
+
+      return {
+        severity: Math.min(1, severity),
+        value: anomalies,
+        reason:
+          anomalies.length > 0 ? anomalies.join(", ") : "No anomalies found",
+      };
+    },
+  },
+  {
+    name: "consistency",
+    weight: 25,
+    evaluate({ profile }) {
+      const checks = profile.consistency || [];
+      const failed = checks.filter((check) => check.status === "fail");
+
+      return {
+        severity: Math.min(
+          1,
+          failed.reduce((sum, check) => sum + check.severity, 0),
+        ),
+        value: failed.map((check) => check.check),
+        reason:
+          failed.length > 0
+            ? failed
+                .map((check) => `${check.check}: ${check.detail}`)
+                .join("; ")
+            : `${checks.filter((check) => check.status === "pass").length} consistency check(s) passed`,
+      };
+    },
+  },
+  {
+    // Rage clicks, dead clicks and scroll thrashing are rarely scripted
+    name: "human_frustration",
+    weight: -15,
+    evaluate({ behavior }) {
+      const counts = FRUSTRATION_EVENTS.map(
+        (type) => behavior.eventTypes.get(type) || 0,
+      );
+      const total = counts.reduce((sum, count) => sum + count, 0);
+
+      return {
+        severity: total >= 3 ? 1 : total > 0 ? 0.5 : 0,
+        value: Object.fromEntries(
+          FRUSTRATION_EVENTS.map((type, index) => [type, counts[index]]),
+        ),
+        reason: `${total} frustration signal(s)`,
+      };
+    },
+  },
+  {
+    name: "violation_history",
+    weight: 25,
+    evaluate({ violations }) {
+      const count = violations?.count || 0;
+      const severity = count > 30 ? 1 : count > 10 ? 0.5 : count > 0 ? 0.2 : 0;
+
+      return {
+        severity,
+        value: count,
+        reason: `${count} rate-limit violation(s)`,
+      };
+    },
+  },
+];
+
+class RiskScorer {
+  constructor(options = {}) {
+    this.botThreshold = options.botThreshold || 80;
+    this.signals = new Map();
+
+    DEFAULT_SIGNALS.forEach((signal) => this.register(signal));
+
+    // Per-deployment weight tuning, e.g. { timing_regularity: 30 }
+    for (const [name, weight] of Object.entries(options.weights || {})) {
+      if (this.signals.has(name)) {
+        this.signals.get(name).weight = weight;
+      }
+    }
+  }
+
+  /**
+   * Add (or replace) a signal
+   */
+  register(signal) {
+    if (!signal?.name || typeof signal.evaluate !== "function") {
+      throw new Error("Risk signals need a name and an evaluate function");
+    }
+
+    this.signals.set(signal.name, { weight: 10, ...signal });
+    return this;
+  }
+
+  /**
+   * Remove a signal
+   */
+  unregister(name) {
+    return this.signals.delete(name);
+  }
+
+  /**
+   * Fresh per-connection behavior tracker
+   */
+  createBehavior() {
+    return {
+      totalEvents: 0,
+      eventTypes: new Map(),
+      recentArrivals: [], // [receivedAt, eventCount] per message
+      eventsPerSecond: 0,
+    };
+  }
+
+  /**
+   * JSON-safe copy of a behavior tracker (for session resume)
+   */
+  serializeBehavior(behavior) {
+    return {
+      ...behavior,
+      eventTypes: Array.from(behavior.eventTypes.entries()),
+    };
+  }
+
+  /**
+   * Rebuild a behavior tracker from serializeBehavior output
+   */
+  restoreBehavior(data) {
+    if (!data) return this.createBehavior();
+
+    return {
+      ...this.createBehavior(),
+      ...data,
+      eventTypes: new Map(data.eventTypes || []),
+    };
+  }
+
+  /**
+   * Record a message's events into a behavior tracker. Timing uses when the
+   * server received them, never the client-supplied event timestamps.
+   */
+  trackEvents(behavior, events, receivedAt = Date.now()) {
+    for (const event of events) {
+      // Interactions count per kind (click, scroll, ...) for diversity
+      const type = event.interactionType
+        ? `interaction:${event.interactionType}`
+        : event.eventType || event.type || "unknown";
+      behavior.eventTypes.set(type, (behavior.eventTypes.get(type) || 0) + 1);
+      behavior.totalEvents++;
+    }
+
+    const arrivals = behavior.recentArrivals;
+    arrivals.push([receivedAt, events.length]);
+    if (arrivals.length > RECENT_ARRIVALS) {
+      arrivals.splice(0, arrivals.length - RECENT_ARRIVALS);
+    }
+
+    // Events since the first kept message, over at least a second so
+    // back-to-back batches do not read as thousands per second
+    const span = Math.max(1000, receivedAt - arrivals[0][0]);
+    const recentEvents = arrivals
+      .slice(1)
+      .reduce((sum, [, count]) => sum + count, 0);
+    behavior.eventsPerSecond =
+      arrivals.length > 1 ? (recentEvents / span) * 1000 : 0;
+  }
+
+  /**
+   * Score a session, returning the total and the per-signal breakdown
+   */
+  score(context = {}) {
+    const input = {
+      profile: context.profile || {},
+      behavior: context.behavior || this.createBehavior(),
+      violations: context.violations || null,
+    };
+
+    const breakdown = [];
+    let total = 0;
+
+    for (const signal of this.signals.values()) {
+      let result;
+      try {
+        result = signal.evaluate(input);
+      } catch (error) {
+        console.error(`[Risk] Signal ${signal.name} failed:`, error.message);
+        continue;
+      }
+      if (!result) continue;
+
+      const severity = Math.max(0, Math.min(1, Number(result.severity) || 0));
+      const points = Math.round(severity * signal.weight * 100) / 100;
+      total += points;
+
+      breakdown.push({
+        signal: signal.name,
+        weight: signal.weight,
+        severity,
+        points,
+        reason: result.reason || null,
+        value: result.value === undefined ? null : result.value,
+      });
+    }
+
+    const score = Math.max(0, Math.min(100, Math.round(total * 100) / 100));
+
+    return {
+      score,
+      isBot: score > this.botThreshold,
+      breakdown: breakdown.sort((a, b) => b.points - a.points),
+      scoredAt: new Date().toISOString(),
+    };
+  }
+}
+
+module.exports = RiskScorer;
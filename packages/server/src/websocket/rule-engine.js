@@ -0,0 +1,297 @@
+/**
+ * Rule Engine - Declarative auto-responses for sessions
+ * Rules are stored in Postgres and evaluated on handshake, batch and
+ * risk-score updates. Example rule:
+ *
+ *   {
+ *     "name": "Throttle risky foreign traffic",
+ *     "conditions": { "all": [
+ *       { "field": "risk_score", "op": ">", "value": 70 },
+ *       { "field": "country", "op": "in", "value": ["CN", "RU"] }
+ *     ]},
+ *     "action": { "type": "downspin", "latency_ms": 3000 }
+ *   }
+ *
+ * Dry-run rules record their matches in rule_matches without dispatching.
+ */
+
+const { buildCommand, isValidAction } = require("./commands");
+
+const TRIGGERS = ["handshake", "batch", "risk_update"];
+
+const OPERATORS = {
+  "=": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  ">": (a, b) => Number(a) > Number(b),
+  ">=": (a, b) => Number(a) >= Number(b),
+  "<": (a, b) => Number(a) < Number(b),
+  "<=": (a, b) => Number(a) <= Number(b),
+  in: (a, b) => Array.isArray(b) && b.includes(a),
+  not_in: (a, b) => Array.isArray(b) && !b.includes(a),
+  contains: (a, b) =>
+    typeof a === "string" && a.toLowerCase().includes(String(b).toLowerCase()),
+  starts_with: (a, b) => typeof a === "string" && a.startsWith(String(b)),
+  exists: (a, b) => (a !== null && a !== undefined) === Boolean(b),
+};
+
+const MAX_CONDITION_DEPTH = 5;
+
+class RuleEngine {
+  constructor(redis, postgres, commandDelivery, options = {}) {
+    this.redis = redis;
+    this.postgres = postgres;
+    this.commandDelivery = commandDelivery;
+
+    this.cacheTtl = options.cacheTtl || 30000;
+    this.rules = [];
+    this.loadedAt = 0;
+    this.loading = null;
+
+    // Other nodes drop their cache when rules change
+    this.redis
+      .subscribe("traffic:rules:changed", () => this.invalidate())
+      .catch((error) => {
+        console.error("[Rules] Failed to subscribe:", error.message);
+      });
+  }
+
+  /**
+   * Get enabled rules (cached)
+   */
+  async getRules() {
+    if (Date.now() - this.loadedAt < this.cacheTtl) {
+      return this.rules;
+    }
+
+    if (!this.loading) {
+      this.loading = this.postgres
+        .getEnabledRules()
+        .then((rules) => {
+          this.rules = rules;
+          this.loadedAt = Date.now();
+          return rules;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Drop the local rule cache
+   */
+  invalidate() {
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Drop the rule cache on every node
+   */
+  async notifyChanged() {
+    this.invalidate();
+    await this.redis.publish("traffic:rules:changed", { at: Date.now() });
+  }
+
+  /**
+   * Build the fact set conditions are evaluated against
+   */
+  buildFacts(session, context = {}) {
+    return {
+      session_hash: session.session_hash,
+      risk_score: Number(session.risk_score || 0),
+      is_bot: Boolean(session.is_bot),
+      country: session.country_code || null,
+      city: session.city || null,
+      isp: session.isp || null,
+      mode: session.mode || "normal",
+      network_type: session.network_type || null,
+      timezone: session.timezone || null,
+      user_agent: session.user_agent || null,
+      total_events: Number(session.total_events || 0),
+      rate_limit_violations: Number(session.rate_limit_violations || 0),
+      current_latency_ms: Number(session.current_latency_ms || 0),
+      ...context,
+    };
+  }
+
+  /**
+   * Evaluate a condition tree: { all: [...] }, { any: [...] }, { not: {...} }
+   * or a leaf { field, op, value }
+   */
+  matches(condition, facts, depth = 0) {
+    if (!condition || depth > MAX_CONDITION_DEPTH) return false;
+
+    if (Array.isArray(condition.all)) {
+      return condition.all.every((c) => this.matches(c, facts, depth + 1));
+    }
+    if (Array.isArray(condition.any)) {
+      return condition.any.some((c) => this.matches(c, facts, depth + 1));
+    }
+    if (condition.not) {
+      return !this.matches(condition.not, facts, depth + 1);
+    }
+
+    // Shorthand: { "field": "is_bot" } means is_bot = true
+    const operator = OPERATORS[condition.op || "="];
+    if (!operator) return false;
+
+    const value = condition.value === undefined ? true : condition.value;
+    return operator(facts[condition.field], value);
+  }
+
+  /**
+   * Validate a rule definition, returning a list of problems
+   */
+  validate(rule) {
+    const errors = [];
+
+    if (!rule || typeof rule !== "object") {
+      return ["Rule must be an object"];
+    }
+    if (!rule.name || typeof rule.name !== "string") {
+      errors.push("name is required");
+    }
+    if (!rule.action || !isValidAction(rule.action.type)) {
+      errors.push(
+        "action.type must be upspin, downspin, terminate or a command type",
+      );
+    }
+    if (
+      rule.triggers !== undefined &&
+      (!Array.isArray(rule.triggers) ||
+        rule.triggers.some((t) => !TRIGGERS.includes(t)))
+    ) {
+      errors.push(`triggers must be a subset of ${TRIGGERS.join(", ")}`);
+    }
+
+    const checkCondition = (condition, depth) => {
+      if (!condition || typeof condition !== "object") {
+        errors.push("conditions must be an object");
+        return;
+      }
+      if (depth > MAX_CONDITION_DEPTH) {
+        errors.push(`conditions nested deeper than ${MAX_CONDITION_DEPTH}`);
+        return;
+      }
+      // matches() only looks at the first of these it finds
+      const groups = ["all", "any", "not"].filter(
+        (key) => condition[key] !== undefined,
+      );
+      if (groups.length > 1) {
+        errors.push(
+          `a condition can have only one of all, any or not (got ${groups.join(", ")})`,
+        );
+        return;
+      }
+
+      if (Array.isArray(condition.all) || Array.isArray(condition.any)) {
+        (condition.all || condition.any).forEach((c) =>
+          checkCondition(c, depth + 1),
+        );
+      } else if (condition.not) {
+        checkCondition(condition.not, depth + 1);
+      } else {
+        if (!condition.field) errors.push("condition.field is required");
+        if (!OPERATORS[condition.op || "="]) {
+          errors.push(`Unknown operator: ${condition.op}`);
+        }
+      }
+    };
+    checkCondition(rule.conditions, 0);
+
+    return errors;
+  }
+
+  /**
+   * Evaluate all enabled rules for a session at a trigger point
+   */
+  async evaluate(sessionHash, trigger, context = {}) {
+    const rules = await this.getRules();
+    const applicable = rules.filter((rule) =>
+      (rule.triggers || TRIGGERS).includes(trigger),
+    );
+    if (applicable.length === 0) return [];
+
+    const session = await this.postgres.getSession(sessionHash);
+    if (!session || session.mode === "terminated") return [];
+
+    const facts = this.buildFacts(session, { ...context, trigger });
+    const fired = [];
+
+    // Rules are ordered by priority; the first dispatched command wins
+    for (const rule of applicable) {
+      if (!this.matches(rule.conditions, facts)) continue;
+
+      // COOLDOWN: Fire once per rule/session window, not on every batch
+      const acquired = await this.redis.acquireCooldown(
+        `rule:${rule.rule_id}:${sessionHash}`,
+        rule.cooldown_seconds || 300,
+      );
+      if (!acquired) continue;
+
+      const result = await this.apply(rule, sessionHash, trigger, facts);
+      fired.push(result);
+
+      if (!rule.dry_run) break;
+    }
+
+    return fired;
+  }
+
+  /**
+   * Dispatch a matched rule's action (or just record it when dry-run)
+   */
+  async apply(rule, sessionHash, trigger, facts) {
+    const { command, mode, latency } = buildCommand(rule.action);
+
+    if (!rule.dry_run) {
+      if (mode) {
+        await this.postgres.updateSessionMode(sessionHash, mode, latency);
+      }
+      await this.commandDelivery.dispatch(sessionHash, command, {
+        adminId: `rule:${rule.rule_id}`,
+      });
+    }
+
+    await this.postgres.logRuleMatch({
+      ruleId: rule.rule_id,
+      sessionHash,
+      trigger,
+      dryRun: Boolean(rule.dry_run),
+      commandId: rule.dry_run ? null : command.id,
+      facts,
+    });
+
+    console.log(
+      `[Rules] ${rule.dry_run ? "Dry-run match" : "Fired"} "${rule.name}" for ${sessionHash.substring(0, 12)}... (${trigger})`,
+    );
+
+    return {
+      ruleId: rule.rule_id,
+      name: rule.name,
+      dryRun: Boolean(rule.dry_run),
+      command: rule.dry_run ? null : command,
+    };
+  }
+
+  /**
+   * Report which sessions a rule would match, without dispatching anything
+   */
+  dryRun(rule, sessions, trigger = "batch") {
+    return sessions
+      .map((session) => this.buildFacts(session, { trigger }))
+      .filter((facts) => this.matches(rule.conditions, facts))
+      .map((facts) => ({
+        sessionHash: facts.session_hash,
+        facts,
+        action: rule.action,
+      }));
+  }
+}
+
+RuleEngine.TRIGGERS = TRIGGERS;
+RuleEngine.OPERATORS = Object.keys(OPERATORS);
+
+module.exports = RuleEngine;
@@ -3,17 +3,33 @@
  * Handles telemetry streaming and remote commands
  */
 
+const fs = require("fs");
+const os = require("os");
+const net = require("net");
+const crypto = require("crypto");
 const WebSocket = require("ws");
 const { v4: uuidv4 } = require("uuid");
 const geoip = require("geoip-lite");
-const RateLimiter = require("./rate-limiter");
+const { Reader } = require("maxmind");
+const CompositeRateLimiter = require("./composite-rate-limiter");
+const CommandDelivery = require("./command-delivery");
+const RiskScorer = require("./risk-scorer");
+const { runConsistencyChecks } = require("./consistency-checks");
 
 class WebSocketServer {
-  constructor(httpServer, redis, clickhouse, postgres) {
+  constructor(httpServer, redis, clickhouse, postgres, options = {}) {
     this.redis = redis;
     this.clickhouse = clickhouse;
     this.postgres = postgres;
 
+    // CLUSTER: Identity of this node in the shared session registry
+    this.nodeId =
+      options.nodeId ||
+      process.env.NODE_ID ||
+      `${os.hostname()}-${process.pid}`;
+    this.registryTtl = options.registryTtl || 120; // seconds
+    this.heartbeatInterval = options.heartbeatInterval || 30000;
+
     // WebSocket server
     this.wss = new WebSocket.Server({
       server: httpServer,
@@ -23,24 +39,52 @@ class WebSocketServer {
     // Active connections
     this.connections = new Map();
 
-    // Rate limiter
-    this.rateLimiter = new RateLimiter({
-      capacity: 20,
-      refillRate: 5,
-      maxEventsPerSecond: 5,
-      autoThrottle: true,
-      throttleLatency: 2000,
-      banThreshold: 50,
-      banDuration: 300000,
+    // Session hash -> connection ids (O(1) command routing)
+    this.sessionConnections = new Map();
+
+    // Declarative auto-response rules (optional)
+    this.ruleEngine = options.ruleEngine || null;
+
+    // Guaranteed delivery (pending queue, ack deadlines, retries)
+    this.commandDelivery =
+      options.commandDelivery ||
+      new CommandDelivery(redis, postgres, { clickhouse });
+    this.commandDelivery.attach((sessionHash, command) =>
+      this.deliverCommand(sessionHash, command),
+    );
+
+    // geoip-lite has no ASN data, so the asn layer needs a GeoLite2-ASN database
+    this.asnReader = this.openAsnDatabase(
+      options.asnDatabase || process.env.GEOIP_ASN_DB,
+    );
+
+    // Layered rate limits per session, IP, subnet and ASN
+    // (redis = shared across nodes, memory = process-local)
+    this.rateLimiter = new CompositeRateLimiter(redis, {
+      backend:
+        options.rateLimiterBackend ||
+        process.env.RATE_LIMITER_BACKEND ||
+        "memory",
+      layers: options.rateLimitLayers || this.parseRateLimitLayers(),
     });
 
+    // Weighted, explainable risk scoring
+    this.riskScorer = options.riskScorer || new RiskScorer();
+    this.riskPersistInterval = options.riskPersistInterval || 60000;
+
+    // How long a dropped client can resume without a new handshake
+    this.resumeTtl = options.resumeTtl || 300; // seconds
+
     // Setup WebSocket handlers
     this.setupWebSocketHandlers();
 
     // Subscribe to Redis commands
     this.subscribeToCommands();
 
-    console.log("[WebSocket] Server initialized on /ws");
+    // Advertise this node and its sessions to the cluster
+    this.startHeartbeat();
+
+    console.log(`[WebSocket] Server initialized on /ws (node ${this.nodeId})`);
   }
 
   /**
@@ -50,6 +94,8 @@ class WebSocketServer {
     this.wss.on("connection", (ws, req) => {
       const clientIp = this.getClientIp(req);
       const connectionId = uuidv4();
+      const geo = geoip.lookup(clientIp);
+      const asn = this.lookupAsn(clientIp);
 
       console.log(
         `[WebSocket] New connection: ${connectionId} from ${clientIp}`,
@@ -60,10 +106,19 @@ class WebSocketServer {
         id: connectionId,
         ws,
         ip: clientIp,
+        userAgent: req.headers["user-agent"] || null,
+        subnet: CompositeRateLimiter.subnetKey(clientIp),
+        asn: asn?.asn || null,
+        isp: asn?.org || null,
+        geo,
         sessionHash: null,
+        resumeToken: crypto.randomBytes(24).toString("base64url"),
         connectedAt: Date.now(),
         lastActivity: Date.now(),
         eventCount: 0,
+        profile: null,
+        behavior: this.riskScorer.createBehavior(),
+        risk: null,
       };
 
       this.connections.set(connectionId, connection);
@@ -83,10 +138,12 @@ class WebSocketServer {
         console.error(`[WebSocket] Error on ${connectionId}:`, error);
       });
 
-      // Send welcome message
+      // Send welcome message (the token resumes this connection later)
       this.sendToClient(ws, {
         type: "connected",
         connectionId,
+        resumeToken: connection.resumeToken,
+        resumeTtl: this.resumeTtl,
         timestamp: Date.now(),
       });
 
@@ -195,7 +252,7 @@ class WebSocketServer {
       // FIX: Extract and set session hash IMMEDIATELY
       const sessionHash = message.sessionHash;
       if (sessionHash && !connection.sessionHash) {
-        connection.sessionHash = sessionHash;
+        this.bindSession(connection, sessionHash);
         console.log(
           `[WebSocket] Session bound: ${connectionId} → ${sessionHash.substring(0, 12)}...`,
         );
@@ -209,10 +266,13 @@ class WebSocketServer {
         return;
       }
 
-      // Rate limiting using the correct session hash
-      const rateLimitResult = this.rateLimiter.isAllowed(
-        activeSessionHash || connectionId,
-      );
+      // Rate limiting per session, IP, subnet and ASN
+      const rateLimitResult = await this.rateLimiter.isAllowed({
+        session: activeSessionHash || connectionId,
+        ip: connection.ip,
+        subnet: connection.subnet,
+        asn: connection.asn,
+      });
 
       if (!rateLimitResult.allowed) {
         if (rateLimitResult.reason === "banned") {
@@ -227,23 +287,32 @@ class WebSocketServer {
           return;
         }
 
-        // Check if auto-throttle should trigger
-        const stats = this.rateLimiter.getViolationStats(activeSessionHash);
-        if (stats && stats.shouldThrottle) {
+        // Check if auto-throttle should trigger on the layer that tripped
+        const { layer, key } = rateLimitResult;
+        const stats = await this.rateLimiter.getViolationStats(key, layer);
+        const autoThrottled = Boolean(
+          stats && stats.shouldThrottle && activeSessionHash,
+        );
+
+        // Log every denial, attributed to the layer that tripped
+        await this.clickhouse.logRateViolation({
+          sessionHash: activeSessionHash,
+          ipAddress: connection.ip,
+          layer,
+          limitKey: key,
+          eventsPerSecond: stats?.eventsPerSecond || 0,
+          thresholdExceeded:
+            this.rateLimiter.getLayerOptions(layer).maxEventsPerSecond,
+          autoThrottled,
+        });
+
+        if (autoThrottled) {
           // Auto-throttle
           await this.sendThrottleCommand(
             activeSessionHash,
             stats.throttleLatency,
           );
 
-          // Log violation
-          await this.clickhouse.logRateViolation({
-            sessionHash: activeSessionHash,
-            ipAddress: connection.ip,
-            eventsPerSecond: stats.eventsPerSecond,
-            thresholdExceeded: this.rateLimiter.options.maxEventsPerSecond,
-          });
-
           // Update database
           await this.postgres.incrementViolations(activeSessionHash);
         }
@@ -256,6 +325,9 @@ class WebSocketServer {
         case "handshake":
           await this.handleHandshake(connection, message);
           break;
+        case "resume":
+          await this.handleResume(connection, message);
+          break;
         case "batch":
           await this.handleBatchEvents(connection, message);
           break;
@@ -279,14 +351,32 @@ class WebSocketServer {
     }
   }
 
+  /**
+   * Bind a session hash to a connection and claim it in the cluster registry
+   */
+  bindSession(connection, sessionHash) {
+    connection.sessionHash = sessionHash;
+
+    if (!this.sessionConnections.has(sessionHash)) {
+      this.sessionConnections.set(sessionHash, new Set());
+    }
+    this.sessionConnections.get(sessionHash).add(connection.id);
+
+    this.redis
+      .registerSessionNode(sessionHash, this.nodeId, this.registryTtl)
+      .catch((error) => {
+        console.error("[WebSocket] Registry update failed:", error.message);
+      });
+  }
+
   /**
    * Handle initial handshake
    */
   async handleHandshake(connection, message) {
     const { sessionHash, metadata } = message;
 
-    // Enrich with GeoIP
-    const geo = geoip.lookup(connection.ip);
+    // Enrich with GeoIP (looked up once per connection, IPv4 or IPv6)
+    const geo = connection.geo;
 
     const sessionData = {
       sessionHash,
@@ -294,7 +384,7 @@ class WebSocketServer {
       userAgent: metadata.userAgent,
       country: geo?.country || null,
       city: geo?.city || null,
-      isp: geo?.org || null,
+      isp: connection.isp,
       latitude: geo?.ll?.[0] || null,
       longitude: geo?.ll?.[1] || null,
       screenWidth: metadata.screenWidth,
@@ -307,16 +397,104 @@ class WebSocketServer {
     // Store in PostgreSQL
     await this.postgres.upsertSession(sessionData);
 
+    // Cross-check the fingerprint against GeoIP before the first score
+    connection.profile = {
+      ...sessionData,
+      timezoneOffset: metadata.timezoneOffset,
+      language: metadata.language,
+      languages: metadata.languages,
+      platform: metadata.platform,
+      maxTouchPoints: metadata.maxTouchPoints,
+      webgl: metadata.webgl,
+    };
+    connection.profile.consistency = runConsistencyChecks(connection.profile);
+    await this.postgres.updateConsistencyChecks(
+      sessionHash,
+      connection.profile.consistency,
+    );
+    await this.updateRisk(connection, sessionHash);
+
     // Cache in Redis
     await this.redis.trackOnlineSession(sessionHash);
 
+    // Deliver commands queued while the session was offline
+    await this.commandDelivery.flushPending(sessionHash);
+
+    await this.evaluateRules(sessionHash, "handshake");
+    await this.saveResumeState(connection);
+
     console.log(`[WebSocket] Handshake complete for session: ${sessionHash}`);
   }
 
+  /**
+   * Restore a reconnecting client from its previous connection's resume
+   * token instead of a full handshake (profile, risk and behavior carry over)
+   */
+  async handleResume(connection, message) {
+    const { resumeToken, sessionHash } = message;
+    const state = resumeToken
+      ? await this.redis.takeResumeState(resumeToken)
+      : null;
+
+    if (!state || state.sessionHash !== sessionHash) {
+      // Client falls back to a full handshake
+      this.sendToClient(connection.ws, {
+        type: "resume_failed",
+        reason: state ? "Session mismatch" : "Unknown or expired resume token",
+      });
+      return;
+    }
+
+    connection.profile = state.profile;
+    connection.risk = state.risk;
+    connection.behavior = this.riskScorer.restoreBehavior(state.behavior);
+
+    await this.postgres.updateSessionStatus(sessionHash, true);
+    await this.redis.trackOnlineSession(sessionHash);
+    await this.saveResumeState(connection);
+
+    this.sendToClient(connection.ws, {
+      type: "resumed",
+      sessionHash,
+      timestamp: Date.now(),
+    });
+
+    // Deliver commands queued while the client was away
+    await this.commandDelivery.flushPending(sessionHash);
+
+    console.log(
+      `[WebSocket] Session resumed: ${connection.id} → ${sessionHash.substring(0, 12)}...`,
+    );
+  }
+
+  /**
+   * Store the state a client can resume under this connection's token
+   */
+  async saveResumeState(connection) {
+    if (!connection.sessionHash || !connection.profile) return;
+
+    try {
+      await this.redis.saveResumeState(
+        connection.resumeToken,
+        {
+          sessionHash: connection.sessionHash,
+          profile: connection.profile,
+          risk: connection.risk,
+          behavior: this.riskScorer.serializeBehavior(connection.behavior),
+          savedAt: Date.now(),
+        },
+        this.resumeTtl,
+      );
+    } catch (error) {
+      console.error("[WebSocket] Failed to save resume state:", error.message);
+    }
+  }
+
   /**
    * Handle batch events
    */
   async handleBatchEvents(connection, message) {
+    const receivedAt = Date.now();
     const { events, sessionHash } = message;
 
     if (!Array.isArray(events)) return;
@@ -327,24 +505,54 @@ class WebSocketServer {
         ...event,
         sessionHash: sessionHash || connection.sessionHash,
         ipAddress: connection.ip,
+        geoip: this.eventGeo(connection),
         timestamp: event.timestamp || Date.now(),
       };
 
-      // Log to ClickHouse
-      await this.clickhouse.logEvent(enrichedEvent);
+      // Log to ClickHouse (SDK error reports have their own table)
+      if (enrichedEvent.type === "error") {
+        await this.clickhouse.logError({
+          ...enrichedEvent,
+          userAgent: connection.profile?.userAgent || connection.userAgent,
+        });
+      } else {
+        await this.clickhouse.logEvent(enrichedEvent);
+      }
     }
 
     // Update event count in PostgreSQL
     await this.postgres.incrementEventCount(sessionHash, events.length);
 
-    // Calculate risk score
-    const stats = this.rateLimiter.getViolationStats(sessionHash);
-    if (stats) {
-      const riskScore = this.calculateRiskScore(stats);
-      await this.postgres.updateRiskScore(
-        sessionHash,
-        riskScore,
-        riskScore > 80,
+    // Rescore with the new behavior
+    this.riskScorer.trackEvents(connection.behavior, events, receivedAt);
+    const stats = await this.rateLimiter.getViolationStats(sessionHash);
+    const risk = await this.updateRisk(connection, sessionHash, stats);
+    if (risk.changed) {
+      await this.evaluateRules(sessionHash, "risk_update", {
+        events_per_second: Math.max(
+          stats?.eventsPerSecond || 0,
+          connection.behavior.eventsPerSecond,
+        ),
+      });
+    } else {
+      await this.evaluateRules(sessionHash, "batch", {
+        batch_size: events.length,
+      });
+    }
+  }
+
+  /**
+   * Run auto-response rules for a session (never breaks message handling)
+   */
+  async evaluateRules(sessionHash, trigger, context = {}) {
+    if (!this.ruleEngine || !sessionHash) return;
+
+    try {
+      await this.ruleEngine.evaluate(sessionHash, trigger, context);
+    } catch (error) {
+      console.error(
+        `[WebSocket] Rule evaluation failed (${trigger}):`,
+        error.message,
       );
     }
   }
@@ -353,17 +561,20 @@ class WebSocketServer {
    * Handle single event
    */
   async handleEvent(connection, message) {
+    const receivedAt = Date.now();
     const sessionHash = message.sessionHash || connection.sessionHash;
 
     const event = {
       ...message,
       sessionHash,
       ipAddress: connection.ip,
+      geoip: this.eventGeo(connection),
       timestamp: message.timestamp || Date.now(),
     };
 
     // Log to ClickHouse
     await this.clickhouse.logEvent(event);
+    this.riskScorer.trackEvents(connection.behavior, [event], receivedAt);
 
     // Update event count
     await this.postgres.incrementEventCount(sessionHash, 1);
@@ -375,9 +586,12 @@ class WebSocketServer {
   async handleCommandAck(connection, message) {
     const { commandId, commandType, result } = message;
 
-    // Update command status in database
-    const status = result.error ? "failed" : "acknowledged";
-    await this.postgres.updateCommandStatus(commandId, status, result);
+    // Clear the ack deadline and update command status in database
+    await this.commandDelivery.acknowledge(
+      connection.sessionHash,
+      commandId,
+      result,
+    );
 
     console.log(`[WebSocket] Command ${commandType} acknowledged:`, result);
   }
@@ -389,9 +603,30 @@ class WebSocketServer {
     const connection = this.connections.get(connectionId);
 
     if (connection && connection.sessionHash) {
+      const sessionConnections = this.sessionConnections.get(
+        connection.sessionHash,
+      );
+      sessionConnections?.delete(connectionId);
+
+      // Only release the session once its last local connection is gone
+      if (!sessionConnections || sessionConnections.size === 0) {
+        this.sessionConnections.delete(connection.sessionHash);
+        this.redis
+          .unregisterSessionNode(connection.sessionHash, this.nodeId)
+          .catch((error) => {
+            console.error(
+              "[WebSocket] Registry cleanup failed:",
+              error.message,
+            );
+          });
+      }
+
       // Update session status
       this.postgres.updateSessionStatus(connection.sessionHash, false);
 
+      // Latest behavior and risk for a resume after the drop
+      this.saveResumeState(connection);
+
       console.log(
         `[WebSocket] Disconnected: ${connectionId} (${connection.sessionHash})`,
       );
@@ -401,24 +636,68 @@ class WebSocketServer {
   }
 
   /**
-   * Subscribe to Redis command channel
+   * Subscribe to this node's command channel (and the shared fallback channel)
    */
   async subscribeToCommands() {
-    await this.redis.subscribe("traffic:commands", async (data) => {
-      const { sessionHash, command } = data;
+    const handler = (data) => {
+      this.commandDelivery.handlePublished(data).catch((error) => {
+        console.error("[WebSocket] Command delivery failed:", error.message);
+      });
+    };
 
-      // Find connection with this session hash
-      for (const [connectionId, connection] of this.connections.entries()) {
-        if (connection.sessionHash === sessionHash) {
-          this.sendToClient(connection.ws, {
-            type: "command",
-            command,
-          });
-        }
+    await this.redis.subscribe(`traffic:commands:${this.nodeId}`, handler);
+    await this.redis.subscribe("traffic:commands", handler);
+
+    console.log(
+      `[WebSocket] Subscribed to command channel traffic:commands:${this.nodeId}`,
+    );
+  }
+
+  /**
+   * Deliver a command to every local connection of a session
+   */
+  deliverCommand(sessionHash, command) {
+    const connectionIds = this.sessionConnections.get(sessionHash);
+    if (!connectionIds) return 0;
+
+    let delivered = 0;
+    for (const connectionId of connectionIds) {
+      const connection = this.connections.get(connectionId);
+      if (connection) {
+        this.sendToClient(connection.ws, {
+          type: "command",
+          command,
+        });
+        delivered++;
       }
-    });
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Periodically refresh registry TTLs and publish node stats
+   */
+  startHeartbeat() {
+    const beat = async () => {
+      try {
+        await this.redis.refreshSessionNodes(
+          Array.from(this.sessionConnections.keys()),
+          this.nodeId,
+          this.registryTtl,
+        );
+        await this.redis.heartbeatNode(
+          this.nodeId,
+          this.getStats(),
+          Math.ceil((this.heartbeatInterval * 3) / 1000),
+        );
+      } catch (error) {
+        console.error("[WebSocket] Heartbeat failed:", error.message);
+      }
+    };
 
-    console.log("[WebSocket] Subscribed to command channel");
+    beat();
+    this.heartbeatTimer = setInterval(beat, this.heartbeatInterval);
   }
 
   /**
@@ -431,8 +710,10 @@ class WebSocketServer {
       payload: { latency_ms: latency },
     };
 
-    await this.redis.publish("traffic:commands", { sessionHash, command });
     await this.postgres.updateSessionMode(sessionHash, "downspin", latency);
+    await this.commandDelivery.dispatch(sessionHash, command, {
+      adminId: "system:auto-throttle",
+    });
   }
 
   /**
@@ -481,32 +762,121 @@ class WebSocketServer {
   }
 
   /**
-   * Calculate risk score based on behavior
+   * Rescore a session and store the score with its per-signal breakdown
+   * (written when the score moves, otherwise at most once a minute)
    */
-  calculateRiskScore(stats) {
-    let score = 0;
+  async updateRisk(connection, sessionHash, violations = null) {
+    const risk = this.riskScorer.score({
+      profile: connection.profile || {},
+      behavior: connection.behavior,
+      violations,
+    });
+
+    const previous = connection.risk;
+    const changed = !previous || previous.score !== risk.score;
+    const stale =
+      !previous ||
+      Date.now() - previous.persistedAt >= this.riskPersistInterval;
+
+    if (changed || stale) {
+      await this.postgres.updateRiskScore(
+        sessionHash,
+        risk.score,
+        risk.isBot,
+        risk.breakdown,
+      );
+      connection.risk = { ...risk, persistedAt: Date.now() };
+    }
 
-    // High event rate
-    if (stats.eventsPerSecond > 10) score += 40;
-    else if (stats.eventsPerSecond > 5) score += 20;
+    return { ...risk, changed: Boolean(previous) && changed };
+  }
 
-    // High violation count
-    if (stats.count > 30) score += 30;
-    else if (stats.count > 10) score += 15;
+  /**
+   * Per-layer thresholds from RATE_LIMIT_LAYERS, e.g. {"ip":{"capacity":100}}
+   */
+  parseRateLimitLayers() {
+    if (!process.env.RATE_LIMIT_LAYERS) return {};
 
-    return Math.min(100, score);
+    try {
+      return JSON.parse(process.env.RATE_LIMIT_LAYERS);
+    } catch (error) {
+      console.error(
+        "[WebSocket] Ignoring invalid RATE_LIMIT_LAYERS:",
+        error.message,
+      );
+      return {};
+    }
   }
 
   /**
    * Get client IP from request
    */
   getClientIp(req) {
-    return (
+    const ip =
       req.headers["x-forwarded-for"]?.split(",")[0].trim() ||
       req.headers["x-real-ip"] ||
       req.socket.remoteAddress ||
-      "0.0.0.0"
-    );
+      "0.0.0.0";
+
+    // Dual-stack sockets report IPv4 clients as ::ffff:a.b.c.d
+    const mapped = ip.match(/^::ffff:(.+)$/i);
+    return mapped && net.isIPv4(mapped[1]) ? mapped[1] : ip;
+  }
+
+  /**
+   * Open the GeoLite2-ASN database; null (asn layer skipped) without one
+   */
+  openAsnDatabase(file) {
+    if (!file) {
+      console.warn(
+        "[WebSocket] GEOIP_ASN_DB not set, the asn rate-limit layer is off",
+      );
+      return null;
+    }
+
+    try {
+      return new Reader(fs.readFileSync(file));
+    } catch (error) {
+      console.error(
+        `[WebSocket] Failed to open ASN database ${file}:`,
+        error.message,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Autonomous system for an address: { asn: "AS15169", org }, or null
+   */
+  lookupAsn(ip) {
+    if (!this.asnReader) return null;
+
+    try {
+      const record = this.asnReader.get(ip);
+      if (!record?.autonomous_system_number) return null;
+
+      return {
+        asn: `AS${record.autonomous_system_number}`,
+        org: record.autonomous_system_organization || null,
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * GeoIP fields stored with each event
+   */
+  eventGeo(connection) {
+    const geo = connection.geo;
+    if (!geo) return null;
+
+    return {
+      country: geo.country,
+      city: geo.city,
+      latitude: geo.ll?.[0],
+      longitude: geo.ll?.[1],
+    };
   }
 
   /**
@@ -514,11 +884,41 @@ class WebSocketServer {
    */
   getStats() {
     return {
+      nodeId: this.nodeId,
       totalConnections: this.connections.size,
+      sessions: this.sessionConnections.size,
       activeConnections: Array.from(this.connections.values()).filter(
         (c) => c.ws.readyState === WebSocket.OPEN,
       ).length,
       rateLimiter: this.rateLimiter.getStats(),
+      commandDelivery: this.commandDelivery.getStats(),
+    };
+  }
+
+  /**
+   * Get statistics aggregated across every live node
+   */
+  async getClusterStats() {
+    // Publish fresh local stats so this node is never stale in the result
+    await this.redis.heartbeatNode(
+      this.nodeId,
+      this.getStats(),
+      Math.ceil((this.heartbeatInterval * 3) / 1000),
+    );
+    const nodes = await this.redis.getClusterNodes(this.heartbeatInterval * 3);
+
+    return {
+      nodeCount: nodes.length,
+      totalConnections: nodes.reduce(
+        (sum, node) => sum + (node.totalConnections || 0),
+        0,
+      ),
+      activeConnections: nodes.reduce(
+        (sum, node) => sum + (node.activeConnections || 0),
+        0,
+      ),
+      sessions: nodes.reduce((sum, node) => sum + (node.sessions || 0), 0),
+      nodes,
     };
   }
 
@@ -528,6 +928,22 @@ class WebSocketServer {
   async close() {
     console.log("[WebSocket] Closing server...");
 
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+    }
+
+    // Release registry entries so commands stop routing to this node
+    try {
+      await Promise.all(
+        Array.from(this.sessionConnections.keys()).map((sessionHash) =>
+          this.redis.unregisterSessionNode(sessionHash, this.nodeId),
+        ),
+      );
+      await this.redis.removeNode(this.nodeId);
+    } catch (error) {
+      console.error("[WebSocket] Registry cleanup failed:", error.message);
+    }
+
     // Close all connections
     this.connections.forEach((connection) => {
       connection.ws.close();
@@ -535,6 +951,7 @@ class WebSocketServer {
 
     this.wss.close();
     this.rateLimiter.destroy();
+    this.commandDelivery.destroy();
   }
 }
 
@@ -0,0 +1,185 @@
+const crypto = require("crypto");
+const AdminAuth = require("../src/services/admin-auth");
+
+const identity = { adminId: "u1", username: "alice", role: "operator" };
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function signed(auth, header, claims) {
+  const unsigned = `${base64url(header)}.${base64url(claims)}`;
+  return `${unsigned}.${auth.sign(unsigned)}`;
+}
+
+describe("AdminAuth.verifyAccessToken", () => {
+  const auth = new AdminAuth(null, null, {
+    jwtSecret: "test-secret",
+    accessTokenTtl: 900,
+  });
+
+  test("accepts a token it signed", () => {
+    expect(auth.verifyAccessToken(auth.signAccessToken(identity))).toEqual(
+      identity,
+    );
+  });
+
+  test("rejects tampered claims", () => {
+    const [header, , signature] = auth.signAccessToken(identity).split(".");
+    const claims = base64url({
+      ...identity,
+      sub: identity.adminId,
+      role: "admin",
+      exp: Math.floor(Date.now() / 1000) + 900,
+    });
+
+    expect(auth.verifyAccessToken(`${header}.${claims}.${signature}`)).toBe(
+      null,
+    );
+  });
+
+  test("rejects a tampered signature", () => {
+    const token = auth.signAccessToken(identity);
+    const flipped = token.slice(0, -1) + (token.endsWith("A") ? "B" : "A");
+
+    expect(auth.verifyAccessToken(flipped)).toBe(null);
+  });
+
+  test("rejects a token signed with another secret", () => {
+    const other = new AdminAuth(null, null, { jwtSecret: "other-secret" });
+
+    expect(auth.verifyAccessToken(other.signAccessToken(identity))).toBe(null);
+  });
+
+  test("rejects an expired token", () => {
+    const now = Math.floor(Date.now() / 1000);
+    const token = signed(
+      auth,
+      { alg: "HS256", typ: "JWT" },
+      {
+        sub: "u1",
+        username: "alice",
+        role: "operator",
+        iat: now - 60,
+        exp: now - 1,
+      },
+    );
+
+    expect(auth.verifyAccessToken(token)).toBe(null);
+  });
+
+  test("rejects a token without an expiry", () => {
+    const token = signed(
+      auth,
+      { alg: "HS256", typ: "JWT" },
+      { sub: "u1", username: "alice", role: "admin" },
+    );
+
+    expect(auth.verifyAccessToken(token)).toBe(null);
+  });
+
+  test("rejects any algorithm but HS256, even with a valid HMAC", () => {
+    const exp = Math.floor(Date.now() / 1000) + 900;
+    const claims = { sub: "u1", username: "alice", role: "admin", exp };
+
+    expect(auth.verifyAccessToken(signed(auth, { alg: "none" }, claims))).toBe(
+      null,
+    );
+    expect(auth.verifyAccessToken(signed(auth, { alg: "HS512" }, claims))).toBe(
+      null,
+    );
+  });
+
+  test("rejects an unsigned alg=none token", () => {
+    const exp = Math.floor(Date.now() / 1000) + 900;
+    const token = `${base64url({ alg: "none" })}.${base64url({ sub: "u1", role: "admin", exp })}.`;
+
+    expect(auth.verifyAccessToken(token)).toBe(null);
+  });
+
+  test("rejects malformed tokens", () => {
+    expect(auth.verifyAccessToken("")).toBe(null);
+    expect(auth.verifyAccessToken("a.b")).toBe(null);
+    expect(auth.verifyAccessToken(undefined)).toBe(null);
+
+    const unsigned = "not-json.not-json";
+    expect(auth.verifyAccessToken(`${unsigned}.${auth.sign(unsigned)}`)).toBe(
+      null,
+    );
+  });
+});
+
+describe("AdminAuth.verifyPassword", () => {
+  const auth = new AdminAuth(null, null, { jwtSecret: "test-secret" });
+
+  test("accepts the password a hash was made from", async () => {
+    const stored = await auth.hashPassword("correct horse battery staple");
+
+    expect(stored).toMatch(/^scrypt\$[^$]+\$[^$]+$/);
+    await expect(
+      auth.verifyPassword("correct horse battery staple", stored),
+    ).resolves.toBe(true);
+  });
+
+  test("rejects a wrong password", async () => {
+    const stored = await auth.hashPassword("correct horse battery staple");
+
+    await expect(
+      auth.verifyPassword("correct horse battery stapler", stored),
+    ).resolves.toBe(false);
+    await expect(auth.verifyPassword("", stored)).resolves.toBe(false);
+  });
+
+  test("salts every hash", async () => {
+    const [first, second] = await Promise.all([
+      auth.hashPassword("same"),
+      auth.hashPassword("same"),
+    ]);
+
+    expect(first).not.toBe(second);
+  });
+
+  test("rejects unknown schemes and malformed hashes", async () => {
+    const md5 = crypto.createHash("md5").update("secret").digest("hex");
+
+    await expect(auth.verifyPassword("secret", md5)).resolves.toBe(false);
+    await expect(auth.verifyPassword("secret", null)).resolves.toBe(false);
+    await expect(auth.verifyPassword("secret", "scrypt$$")).resolves.toBe(
+      false,
+    );
+    await expect(
+      auth.verifyPassword("secret", "scrypt$c2FsdA==$"),
+    ).resolves.toBe(false);
+  });
+
+  test("rejects a truncated hash", async () => {
+    const stored = await auth.hashPassword("secret");
+    const [scheme, salt] = stored.split("$");
+
+    // An empty or one-byte expected hash must not be matched by any password
+    await expect(
+      auth.verifyPassword("secret", `${scheme}$${salt}$====`),
+    ).resolves.toBe(false);
+    await expect(
+      auth.verifyPassword("anything", `${scheme}$${salt}$AA==`),
+    ).resolves.toBe(false);
+  });
+});
+
+describe("AdminAuth configuration", () => {
+  const env = process.env.NODE_ENV;
+  const secret = process.env.ADMIN_JWT_SECRET;
+
+  afterEach(() => {
+    process.env.NODE_ENV = env;
+    if (secret === undefined) delete process.env.ADMIN_JWT_SECRET;
+    else process.env.ADMIN_JWT_SECRET = secret;
+  });
+
+  test("refuses to start in production without ADMIN_JWT_SECRET", () => {
+    process.env.NODE_ENV = "production";
+    delete process.env.ADMIN_JWT_SECRET;
+
+    expect(() => new AdminAuth(null, null)).toThrow("ADMIN_JWT_SECRET");
+  });
+});
@@ -0,0 +1,225 @@
+const AuditLog = require("../src/services/audit-log");
+
+// A row as PostgresService.getAuditChain returns it: created_at parsed to a
+// Date, JSONB re-serialized by Postgres and parsed again by pg
+function storedRow(entry, jsonbText = {}) {
+  const jsonb = (field) =>
+    JSON.parse(jsonbText[field] ?? JSON.stringify(entry[field] ?? null));
+
+  return {
+    audit_id: 1,
+    ...entry,
+    created_at: new Date(entry.created_at),
+    before_state: jsonb("before_state"),
+    after_state: jsonb("after_state"),
+    details: jsonb("details"),
+  };
+}
+
+describe("AuditLog.hash", () => {
+  const auditLog = new AuditLog(null);
+  const entry = {
+    created_at: "2024-05-01T12:34:56.789Z",
+    actor: "alice",
+    actor_role: "admin",
+    actor_ip: "203.0.113.7",
+    action: "batch.downspin",
+    target_type: "batch",
+    target: "job-1",
+    session_hashes: ["a", "b"],
+    before_state: { a: { mode: "normal" } },
+    after_state: { a: { mode: "downspin" } },
+    details: {
+      latency_ms: 3000,
+      ratio: 1.5,
+      big: 1e21,
+      filter: { b: 1, a: 2 },
+    },
+  };
+
+  test("matches the row read back from Postgres", () => {
+    expect(auditLog.hash(null, storedRow(entry))).toBe(
+      auditLog.hash(null, entry),
+    );
+  });
+
+  test("ignores JSONB key order and number formatting", () => {
+    // JSONB sorts keys and prints numbers in its own notation
+    const row = storedRow(entry, {
+      details:
+        '{"big": 1000000000000000000000, "ratio": 1.50, "filter": {"a": 2, "b": 1}, "latency_ms": 3000.0}',
+    });
+
+    expect(auditLog.hash(null, row)).toBe(auditLog.hash(null, entry));
+  });
+
+  test("ignores how created_at is represented", () => {
+    const hash = auditLog.hash(null, entry);
+
+    expect(
+      auditLog.hash(null, {
+        ...entry,
+        created_at: new Date("2024-05-01T14:34:56.789+02:00"),
+      }),
+    ).toBe(hash);
+    expect(
+      auditLog.hash(null, { ...entry, created_at: "2024-05-01T12:34:56.789Z" }),
+    ).toBe(hash);
+  });
+
+  test("accepts timestamptz text output, microseconds included", () => {
+    // record() writes millisecond timestamps, so the extra digits are zeros
+    expect(
+      auditLog.hash(null, {
+        ...entry,
+        created_at: "2024-05-01 12:34:56.789000+00",
+      }),
+    ).toBe(auditLog.hash(null, entry));
+  });
+
+  test("covers created_at down to the millisecond", () => {
+    expect(
+      auditLog.hash(null, { ...entry, created_at: "2024-05-01T12:34:56.790Z" }),
+    ).not.toBe(auditLog.hash(null, entry));
+  });
+
+  test("treats missing fields as null", () => {
+    const withoutDetails = { ...entry };
+    delete withoutDetails.details;
+
+    expect(auditLog.hash(null, { ...entry, details: null })).toBe(
+      auditLog.hash(null, withoutDetails),
+    );
+  });
+
+  test("chains on the previous hash", () => {
+    const first = auditLog.hash(null, entry);
+
+    expect(auditLog.hash(first, entry)).not.toBe(first);
+    expect(auditLog.hash(first, entry)).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test("changes when any hashed field changes", () => {
+    const hash = auditLog.hash(null, entry);
+
+    expect(auditLog.hash(null, { ...entry, actor: "mallory" })).not.toBe(hash);
+    expect(
+      auditLog.hash(null, {
+        ...entry,
+        details: { ...entry.details, ratio: 2 },
+      }),
+    ).not.toBe(hash);
+  });
+
+  test("rejects NUL characters, which Postgres cannot store", () => {
+    expect(() =>
+      auditLog.hash(null, { ...entry, details: { note: "a\u0000b" } }),
+    ).toThrow("NUL");
+    expect(() =>
+      auditLog.hash(null, { ...entry, details: { "a\u0000": 1 } }),
+    ).toThrow("NUL");
+  });
+});
+
+describe("AuditLog.record", () => {
+  test("strips NUL characters before hashing and storing", async () => {
+    let stored;
+    const postgres = {
+      appendAuditEntry: async (row, hashEntry) => {
+        stored = { ...row, entry_hash: hashEntry(null, row) };
+        return stored;
+      },
+    };
+    const auditLog = new AuditLog(postgres);
+
+    await auditLog.record(
+      { admin: { username: "alice", role: "admin" }, ip: "203.0.113.7" },
+      {
+        action: "rule.create",
+        target: "r\u00001",
+        details: { name: "x\u0000y" },
+      },
+    );
+
+    expect(stored.target).toBe("r1");
+    expect(stored.details).toEqual({ name: "xy" });
+    expect(stored.entry_hash).toBe(auditLog.hash(null, storedRow(stored)));
+  });
+
+  test("never throws when the insert fails", async () => {
+    const auditLog = new AuditLog({
+      appendAuditEntry: async () => {
+        throw new Error("connection refused");
+      },
+    });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await expect(
+      auditLog.record({}, { action: "ban.create" }),
+    ).resolves.toBeNull();
+    console.error.mockRestore();
+  });
+});
+
+describe("AuditLog.verify", () => {
+  function chain(auditLog, entries) {
+    let prevHash = null;
+    return entries.map((entry, index) => {
+      const row = {
+        ...storedRow(entry),
+        audit_id: index + 1,
+        prev_hash: prevHash,
+      };
+      row.entry_hash = auditLog.hash(prevHash, entry);
+      prevHash = row.entry_hash;
+      return row;
+    });
+  }
+
+  const entries = [1, 2, 3].map((n) => ({
+    created_at: `2024-05-0${n}T00:00:00.000Z`,
+    actor: "alice",
+    action: "rule.update",
+    details: { n },
+  }));
+
+  function auditLogOver(rows) {
+    const auditLog = new AuditLog({
+      getAuditChain: async (afterId, limit) =>
+        rows.filter((row) => row.audit_id > afterId).slice(0, limit),
+    });
+    return auditLog;
+  }
+
+  test("accepts an intact chain", async () => {
+    const rows = chain(new AuditLog(null), entries);
+
+    await expect(auditLogOver(rows).verify(2)).resolves.toEqual({
+      valid: true,
+      checked: 3,
+      lastHash: rows[2].entry_hash,
+    });
+  });
+
+  test("reports an edited entry", async () => {
+    const rows = chain(new AuditLog(null), entries);
+    rows[1].details = { n: 20 };
+
+    await expect(auditLogOver(rows).verify()).resolves.toMatchObject({
+      valid: false,
+      checked: 1,
+      brokenAt: 2,
+    });
+  });
+
+  test("reports a removed entry", async () => {
+    const rows = chain(new AuditLog(null), entries);
+    rows.splice(1, 1);
+
+    await expect(auditLogOver(rows).verify()).resolves.toMatchObject({
+      valid: false,
+      brokenAt: 3,
+      reason: "prev_hash does not match the previous entry",
+    });
+  });
+});